@@ -0,0 +1,256 @@
+// Advice rules
+// Pest and heat stress advice comes from rules in the advice_rules table (seeded from
+// advice-rules.json) so agronomists can change it without a code change. A rule has a topic
+// ('pest' or 'heat'), a priority, conditions and one or more actions (advice sentences).
+// Conditions are lists; a rule matches when every list it has contains the farm's value:
+//   levels       risk level (pest: low/medium/high) or heat stress level (minimal..critical)
+//   pestClasses  any of these insects on the recent trap photos (pest only)
+//   crops        any of these crops grown (crop-profiles.json keys)
+//   stages       a crop at one of these growth stages (the same crop as in crops, if both are set)
+//   months       1-12, the season
+//   countries    the farm's country
+//   trends       rising, falling or steady: the recent pest count or heat stress score
+// Matching rules apply highest priority first, adding their actions until one with stop set.
+// Actions can use {level}, {crop}, {stage}, {stageNote} and {country}; an action is left out
+// when one of its placeholders has no value (e.g. {crop} in the farm-wide advice).
+
+const analysis = require('./analysis');
+const cropProfiles = require('./crop-profiles');
+const degreeDays = require('./degree-days');
+const heatIndices = require('./heat-indices');
+
+const TOPICS = ['pest', 'heat'];
+const LEVELS = {
+  pest: ['low', 'medium', 'high'],
+  heat: heatIndices.HEAT_STRESS_LEVELS.map(entry => entry.level)
+};
+const TRENDS = ['rising', 'falling', 'steady'];
+const CONDITION_KEYS = ['levels', 'pestClasses', 'crops', 'stages', 'months', 'countries', 'trends'];
+const PEST_TREND_MIN_SLOPE = 0.5; // counts per day before the pest trend counts as rising or falling
+const HEAT_TREND_MIN_CHANGE = 5; // score points between the older and newer half of recent readings
+const MIN_TREND_READINGS = 3;
+const NO_ADVICE = 'No advice available.';
+
+function ruleFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    topic: row.topic,
+    priority: row.priority,
+    conditions: JSON.parse(row.conditions_json),
+    actions: JSON.parse(row.actions_json),
+    stop: row.stop === 1,
+    enabled: row.enabled === 1,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function loadRules(db, topic) {
+  return db.getEnabledAdviceRules.all(topic).map(ruleFromRow);
+}
+
+// Checks a rule sent to the admin API, on top of the stored rule when editing.
+// Returns { rule } or { error }.
+function parseRule(input, existing = null) {
+  const merged = { priority: 0, conditions: {}, stop: false, enabled: true, ...existing, ...input };
+  const { name, topic, priority, conditions, actions, stop, enabled } = merged;
+
+  if (typeof name !== 'string' || !name.trim()) return { error: 'Rule name is required' };
+  if (!TOPICS.includes(topic)) return { error: 'Topic must be "pest" or "heat"' };
+  if (!Number.isInteger(priority)) return { error: 'Priority must be a whole number' };
+  if (typeof stop !== 'boolean' || typeof enabled !== 'boolean') return { error: 'stop and enabled must be true or false' };
+  if (!Array.isArray(actions) || actions.length === 0 || !actions.every(action => typeof action === 'string' && action.trim())) {
+    return { error: 'Actions must be a list of advice sentences' };
+  }
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) return { error: 'Conditions must be an object' };
+
+  for (const [key, values] of Object.entries(conditions)) {
+    if (!CONDITION_KEYS.includes(key)) return { error: `Unknown condition: ${key}` };
+    if (!Array.isArray(values)) return { error: `Condition ${key} must be a list` };
+    if (key === 'months' && !values.every(month => Number.isInteger(month) && month >= 1 && month <= 12)) {
+      return { error: 'Months must be numbers from 1 to 12' };
+    }
+    if (key !== 'months' && !values.every(value => typeof value === 'string' && value.trim())) {
+      return { error: `Condition ${key} must be a list of names` };
+    }
+  }
+  const invalidLevel = (conditions.levels || []).find(level => !LEVELS[topic].includes(level));
+  if (invalidLevel) return { error: `Unknown ${topic} level: ${invalidLevel}` };
+  const invalidTrend = (conditions.trends || []).find(trend => !TRENDS.includes(trend));
+  if (invalidTrend) return { error: `Unknown trend: ${invalidTrend}` };
+  const species = Object.keys(degreeDays.loadSpeciesConfig()).concat('other');
+  const invalidClass = (conditions.pestClasses || []).find(name => !species.includes(name));
+  if (invalidClass) return { error: `Unknown pest class: ${invalidClass}` };
+  const profiles = cropProfiles.loadCropProfiles();
+  const invalidCrop = (conditions.crops || []).find(key => !profiles[key]);
+  if (invalidCrop) return { error: `Unknown crop: ${invalidCrop}` };
+
+  return {
+    rule: {
+      id: existing ? existing.id : null,
+      name: name.trim(),
+      topic,
+      priority,
+      conditions,
+      actions: actions.map(action => action.trim()),
+      stop,
+      enabled
+    }
+  };
+}
+
+function includesIgnoringCase(list, value) {
+  return typeof value === 'string' && list.some(item => item.toLowerCase() === value.toLowerCase());
+}
+
+function ruleMatches(conditions, context) {
+  const listed = key => Array.isArray(conditions[key]) && conditions[key].length > 0;
+  if (listed('levels') && !conditions.levels.includes(context.level)) return false;
+  if (listed('pestClasses') && !conditions.pestClasses.some(name => (context.pestClasses || []).includes(name))) return false;
+  if (listed('months') && !conditions.months.includes(context.month)) return false;
+  if (listed('countries') && !includesIgnoringCase(conditions.countries, context.country)) return false;
+  if (listed('trends') && !conditions.trends.includes(context.trend)) return false;
+  if (listed('crops') || listed('stages')) {
+    const cropMatches = crop => (!listed('crops') || conditions.crops.includes(crop.key)) &&
+      (!listed('stages') || conditions.stages.includes(crop.stage));
+    if (!(context.crops || []).some(cropMatches)) return false;
+  }
+  return true;
+}
+
+function fillPlaceholders(action, context) {
+  const values = {
+    level: context.level,
+    crop: context.crop ? context.crop.cropName : null,
+    stage: context.crop ? context.crop.stageName.toLowerCase() : null,
+    stageNote: context.crop ? context.crop.note : null,
+    country: context.country
+  };
+  let missing = false;
+  const text = action.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (!(key in values)) return placeholder;
+    if (!values[key]) missing = true;
+    return values[key] || '';
+  });
+  return missing ? null : text;
+}
+
+// Runs rules (highest priority first, then oldest; an unsaved rule last) against a context.
+// Returns { advice, actions, matched }.
+function evaluateRules(rules, context) {
+  const ordered = [...rules].sort((a, b) => b.priority - a.priority || (a.id || Number.MAX_SAFE_INTEGER) - (b.id || Number.MAX_SAFE_INTEGER));
+  const actions = [];
+  const matched = [];
+  for (const rule of ordered) {
+    if (!ruleMatches(rule.conditions, context)) continue;
+    matched.push({ id: rule.id, name: rule.name, priority: rule.priority });
+    rule.actions.forEach(action => {
+      const text = fillPlaceholders(action, context);
+      if (text && !actions.includes(text)) actions.push(text);
+    });
+    if (rule.stop) break;
+  }
+  return { advice: actions.length ? actions.join(' ') : NO_ADVICE, actions, matched };
+}
+
+// Country, season and crops (with their current growth stage) of a farm
+function farmContext(db, username, areaId, nowMs = Date.now()) {
+  const profile = db.getProfile.get(username);
+  const profiles = cropProfiles.loadCropProfiles();
+  const crops = db.getUserCropsByArea.all(username, areaId).map(crop => {
+    const cropProfile = profiles[crop.crop_key];
+    const current = cropProfile ? cropProfiles.growthStage(cropProfile, crop.planting_date, nowMs) : null;
+    return current ? { key: cropProfile.key, stage: current.stage.key } : null;
+  }).filter(Boolean);
+  return {
+    country: profile ? profile.country : null,
+    month: new Date(nowMs).getUTCMonth() + 1,
+    crops
+  };
+}
+
+function pestContext(db, username, areaId, forecast) {
+  const details = forecast.details || {};
+  const classCounts = details.classCounts || {};
+  const slope = details.trend ? details.trend.slopePerDay : null;
+  let trend = null;
+  if (slope !== null) {
+    trend = slope >= PEST_TREND_MIN_SLOPE ? 'rising' : slope <= -PEST_TREND_MIN_SLOPE ? 'falling' : 'steady';
+  }
+  return {
+    ...farmContext(db, username, areaId),
+    level: forecast.riskLevel,
+    pestClasses: Object.keys(classCounts).filter(name => classCounts[name] > 0),
+    trend
+  };
+}
+
+// Heat stress trend: mean score of the newer half of the recent readings against the older half
+function heatTrend(db, username, areaId) {
+  const scores = db.getRecentMicroclimateForForecast.all(username, areaId)
+    .map(row => row.heat_stress_score)
+    .filter(score => score !== null);
+  if (scores.length < MIN_TREND_READINGS) return null;
+  const half = Math.floor(scores.length / 2);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const change = mean(scores.slice(0, half)) - mean(scores.slice(scores.length - half));
+  return change >= HEAT_TREND_MIN_CHANGE ? 'rising' : change <= -HEAT_TREND_MIN_CHANGE ? 'falling' : 'steady';
+}
+
+// Advice for a pest forecast ({ riskLevel, details }). Returns { advice, actions, matched }.
+function pestAdvice(db, username, areaId, forecast, rules = loadRules(db, 'pest')) {
+  return evaluateRules(rules, pestContext(db, username, areaId, forecast));
+}
+
+// Advice for a heat stress result (computeFarmHeatStress or summarizeHeatStress): each crop is
+// advised for its own level and growth stage, and the farm gets its worst crop's advice.
+// Returns { advice, actions, matched, crops } with advice added to each crop.
+function heatAdvice(db, username, areaId, heat, rules = loadRules(db, 'heat')) {
+  const farm = { ...farmContext(db, username, areaId), trend: heatTrend(db, username, areaId) };
+  const crops = (heat.crops || []).map(crop => {
+    const result = evaluateRules(rules, {
+      ...farm,
+      level: crop.level,
+      crops: [{ key: crop.cropKey, stage: crop.stage }],
+      crop: { cropName: crop.cropName, stageName: crop.stageName, note: crop.stageNote }
+    });
+    return { ...crop, advice: `${crop.cropName} (${crop.stageName.toLowerCase()}): ${result.advice}`, adviceRules: result.matched, result };
+  });
+  const worst = crops.reduce((max, crop) => (!max || crop.score > max.score ? crop : max), null);
+  const overall = worst ? { ...worst.result, advice: worst.advice } : evaluateRules(rules, { ...farm, level: heat.level });
+  return { ...overall, crops: crops.map(({ result, ...crop }) => crop) };
+}
+
+// Advice the farm would get now from the given rules (all enabled rules by default),
+// for trying out a rule before saving it
+function previewAdvice(db, username, areaId, rules = null) {
+  const topicRules = topic => (rules ? rules.filter(rule => rule.topic === topic && rule.enabled) : loadRules(db, topic));
+
+  const forecast = analysis.computeForecastForArea(username, areaId, db);
+  const pest = pestAdvice(db, username, areaId, forecast, topicRules('pest'));
+
+  const rows = db.getRecentMicroclimateForForecast.all(username, areaId);
+  const summary = analysis.summarizeHeatStress(rows, db.getUserCropsByArea.all(username, areaId));
+  const heat = summary ? heatAdvice(db, username, areaId, summary, topicRules('heat')) : null;
+
+  return {
+    pest: { context: pestContext(db, username, areaId, forecast), ...pest },
+    heat: summary
+      ? { context: { ...farmContext(db, username, areaId), level: summary.level, trend: heatTrend(db, username, areaId) }, ...heat }
+      : null
+  };
+}
+
+module.exports = {
+  TOPICS,
+  CONDITION_KEYS,
+  ruleFromRow,
+  loadRules,
+  parseRule,
+  evaluateRules,
+  pestAdvice,
+  heatAdvice,
+  previewAdvice
+};
@@ -1,17 +1,171 @@
 const sharp = require('sharp');
 const path = require('path');
+const { detectTrapCard, warpTrapCard } = require('./trap-detection');
+const degreeDays = require('./degree-days');
+const heatIndices = require('./heat-indices');
+const cropProfiles = require('./crop-profiles');
 
 // ----------------------------------------
 // Pest trap image analysis
 // ----------------------------------------
-// Downscale image -> convert to grayscale -> threshold binary
-// count connected components in binary mask to get estimated pest count
+// Downscale image -> find the sticky card and straighten it -> pick the channel that best separates insects from the card
+// -> threshold binary (Otsu, per image) -> count connected components in binary mask
+// to get estimated pest count
 // simple, fast, done locally, magic :D
 
-async function analyzeStickyTrapImage(filePath) {
+// Stamped on every images row. Bump it whenever analyzeStickyTrapImage or
+// categorizePestAmount changes so stored rows can be reprocessed (see reprocess.js).
+const ANALYSIS_VERSION = 1;
+
+// Channels we try for thresholding. Yellow cards separate best on luminance/red/green,
+// blue cards on the blue channel, so we let each image pick.
+const ANALYSIS_CHANNELS = {
+  luminance: (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b,
+  red: (r, g, b) => r,
+  green: (r, g, b) => g,
+  blue: (r, g, b) => b
+};
+
+// Otsu's method on a 256-bin histogram.
+// Returns the threshold (pixels < threshold are "dark") and the separability
+// (between-class variance / total variance, 0-1) so channels can be compared.
+function computeOtsuThreshold(hist, total) {
+  let sumAll = 0;
+  let sumSqAll = 0;
+  for (let v = 0; v < 256; v++) {
+    sumAll += v * hist[v];
+    sumSqAll += v * v * hist[v];
+  }
+
+  let sumB = 0;
+  let weightB = 0;
+  let bestBetween = 0;
+  let threshold = 0;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (weightB === 0) continue;
+    const weightF = total - weightB;
+    if (weightF === 0) break;
+    sumB += t * hist[t];
+    const meanB = sumB / weightB;
+    const meanF = (sumAll - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) * (meanB - meanF);
+    if (between > bestBetween) {
+      bestBetween = between;
+      threshold = t + 1;
+    }
+  }
+
+  const mean = sumAll / total;
+  const variance = sumSqAll / total - mean * mean;
+  const separability = variance > 0 ? (bestBetween / (total * total)) / variance : 0;
+  return { threshold, separability };
+}
+
+function histogramMedian(hist, total) {
+  let seen = 0;
+  for (let v = 0; v < 256; v++) {
+    seen += hist[v];
+    if (seen >= total / 2) return v;
+  }
+  return 255;
+}
+
+// Build every candidate channel from raw RGB and keep the one Otsu separates best
+function selectAnalysisChannel(rgb, channels, pixelCount) {
+  let best = null;
+  for (const [name, toValue] of Object.entries(ANALYSIS_CHANNELS)) {
+    const values = new Uint8Array(pixelCount);
+    const hist = new Array(256).fill(0);
+    for (let i = 0; i < pixelCount; i++) {
+      const o = i * channels;
+      const v = Math.round(toValue(rgb[o], rgb[o + 1], rgb[o + 2]));
+      values[i] = v;
+      hist[v]++;
+    }
+    const { threshold, separability } = computeOtsuThreshold(hist, pixelCount);
+    if (!best || separability > best.separability) {
+      best = { channel: name, values, threshold, separability, background: histogramMedian(hist, pixelCount) };
+    }
+  }
+  return best;
+}
+
+// Touching insects come out of the component pass as one big blob.
+// Most blobs on a trap are single insects, so the median size of the blobs big enough to be an
+// insect (minReferenceSize, pixels) is taken as one insect and blobs clearly bigger than that are
+// counted as several. Small noise blobs would drag the median down and split every real insect.
+const MERGED_BLOB_RATIO = 1.6; // blob / single-insect size above which a blob counts as merged
+const MIN_BLOBS_FOR_SPLIT = 3; // need a few blobs before the median means anything
+const MAX_INSECTS_PER_BLOB = 4; // a bigger blob is more likely one large insect than a long clump
+
+function estimateInsectsFromBlobs(blobSizes, minReferenceSize = 0) {
+  const sorted = blobSizes.filter(size => size >= minReferenceSize).sort((a, b) => a - b);
+  if (sorted.length < MIN_BLOBS_FOR_SPLIT) {
+    return { insectCount: blobSizes.length, referenceSize: null, mergedBlobs: 0, perBlob: blobSizes.map(() => 1) };
+  }
+
+  const referenceSize = sorted[Math.floor(sorted.length / 2)];
+  let mergedBlobs = 0;
+  const perBlob = blobSizes.map(size => {
+    if (size < referenceSize * MERGED_BLOB_RATIO) return 1;
+    mergedBlobs++;
+    return Math.min(MAX_INSECTS_PER_BLOB, Math.max(2, Math.round(size / referenceSize)));
+  });
+  const insectCount = perBlob.reduce((sum, n) => sum + n, 0);
+  return { insectCount, referenceSize, mergedBlobs, perBlob };
+}
+
+// Insect size/shape classes.
+// Area is measured relative to the analysed card (in 1/10000ths of it) so it doesn't
+// depend on photo resolution; elongation is the major/minor axis ratio of the blob;
+// darkness is how much darker than the card the blob is (0-1).
+const INSECT_CLASSES = ['whitefly', 'thrips', 'aphid', 'moth', 'other'];
+const LARGE_INSECT_AREA = 8; // moths, flies and other big catches
+const MIN_INSECT_AREA = 0.4; // below this it's most likely dust or debris
+const THRIPS_ELONGATION = 2.5;
+const WHITEFLY_MAX_DARKNESS = 0.55; // whiteflies show up paler than other catches
+
+// Blobs too small to count are kept for the overlay, up to this many
+const MAX_OVERLAY_EXCLUDED = 500; // enough to see the noise without huge SVGs
+
+function classifyInsectBlob(relativeArea, elongation, darkness) {
+  if (relativeArea >= LARGE_INSECT_AREA) return 'moth';
+  if (relativeArea < MIN_INSECT_AREA) return 'other';
+  if (elongation >= THRIPS_ELONGATION) return 'thrips';
+  if (darkness < WHITEFLY_MAX_DARKNESS) return 'whitefly';
+  return 'aphid';
+}
+
+// Elongation from the blob's second-order moments
+function blobElongation(blob) {
+  const mx = blob.sumX / blob.size;
+  const my = blob.sumY / blob.size;
+  const cxx = blob.sumXX / blob.size - mx * mx;
+  const cyy = blob.sumYY / blob.size - my * my;
+  const cxy = blob.sumXY / blob.size - mx * my;
+  const common = Math.sqrt(((cxx - cyy) / 2) ** 2 + cxy * cxy);
+  const major = (cxx + cyy) / 2 + common;
+  const minor = (cxx + cyy) / 2 - common;
+  return minor > 0 ? Math.sqrt(major / minor) : 1;
+}
+
+function emptyClassCounts() {
+  const counts = {};
+  INSECT_CLASSES.forEach(name => counts[name] = 0);
+  return counts;
+}
+
+// options (per-user calibration from manual count corrections, see calibration.js):
+// - thresholdOffset: added to the per-image threshold (+ counts fainter blobs)
+// - minBlobSize: smallest blob counted, in pixels of the analysed card
+async function analyzeStickyTrapImage(filePath, options = {}) {
   const TARGET_SIZE = 640; // keep decent resolution for analysis
-  const THRESHOLD = 90; // 0-255 grayscale threshold for "dark" pixels (tune as needed)
-  const MIN_BLOB_SIZE = 10; // pixels in the downscaled space
+  const MIN_BLOB_SIZE = options.minBlobSize || 10; // pixels in the downscaled space
+  const THRESHOLD_OFFSET = options.thresholdOffset || 0;
+  // A clean trap has an almost unimodal histogram and Otsu would split the card itself,
+  // so the threshold never goes above this fraction of the background (median) level
+  const MAX_THRESHOLD_RATIO = 0.75;
 
   const img = sharp(filePath);
   const metadata = await img.metadata();
@@ -23,18 +177,57 @@ async function analyzeStickyTrapImage(filePath) {
     width: width >= height ? TARGET_SIZE : undefined,
     height: height > width ? TARGET_SIZE : undefined,
     fit: 'inside'
-  }).grayscale();
+  }).removeAlpha();
 
   const { data, info } = await resized.raw().toBuffer({ resolveWithObject: true });
-  const w = info.width;
-  const h = info.height;
+  const frameWidth = info.width;
+  const frameHeight = info.height;
+
+  // Count only inside the sticky card (no table, hands or trap frame).
+  // If no card is found we fall back to the whole photo and say so.
+  let card = detectTrapCard(data, frameWidth, frameHeight, info.channels);
+  let pixels = data;
+  let w = frameWidth;
+  let h = frameHeight;
+  let toFrame = (x, y) => ({ x, y });
+  if (card.found) {
+    const warped = warpTrapCard(data, frameWidth, frameHeight, info.channels, card.corners);
+    if (warped) {
+      pixels = warped.data;
+      w = warped.width;
+      h = warped.height;
+      toFrame = warped.toSource;
+    } else {
+      card = { found: false, reason: 'perspective_failed', color: card.color };
+    }
+  }
+
+  // Corners are reported in original photo pixels
+  const scaleX = width / frameWidth;
+  const scaleY = height / frameHeight;
+  const cardResult = card.found
+    ? {
+        found: true,
+        color: card.color,
+        corners: card.corners.map(p => ({ x: Math.round(p.x * scaleX), y: Math.round(p.y * scaleY) })),
+        areaRatio: Number(card.areaRatio.toFixed(3))
+      }
+    : { found: false, reason: card.reason };
+
+  // Per-image threshold from the best separating channel
+  const selected = selectAnalysisChannel(pixels, info.channels, w * h);
+  const maxThreshold = Math.round(selected.background * MAX_THRESHOLD_RATIO);
+  const thresholdClamped = selected.threshold > maxThreshold;
+  const baseThreshold = thresholdClamped ? maxThreshold : selected.threshold;
+  const threshold = Math.max(0, Math.min(255, baseThreshold + THRESHOLD_OFFSET));
+  const values = selected.values;
 
   // Build binary mask (1 = dark/insect; 0 = background)
   const bin = new Uint8Array(w * h);
   let darkCount = 0;
-  for (let i = 0; i < data.length; i++) {
-    const v = data[i];
-    if (v < THRESHOLD) {
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (v < threshold) {
       bin[i] = 1;
       darkCount++;
     }
@@ -45,19 +238,30 @@ async function analyzeStickyTrapImage(filePath) {
   const visited = new Uint8Array(w * h);
   function idx(x, y) { return y * w + x; }
   const components = [];
+  const excludedBlobs = []; // too small to count, kept only for the overlay
 
   for (let y = 0; y < h; y++) {
     for (let x = 0; x < w; x++) {
       const i = idx(x, y);
       if (bin[i] === 1 && !visited[i]) {
-        let size = 0;
+        const blob = { size: 0, sumX: 0, sumY: 0, sumXX: 0, sumYY: 0, sumXY: 0, sumValue: 0, minX: x, maxX: x, minY: y, maxY: y };
         const stack = [i];
         visited[i] = 1;
         while (stack.length) {
           const cur = stack.pop();
-          size++;
           const cx = cur % w;
           const cy = (cur - cx) / w;
+          blob.size++;
+          blob.sumX += cx;
+          blob.sumY += cy;
+          blob.sumXX += cx * cx;
+          blob.sumYY += cy * cy;
+          blob.sumXY += cx * cy;
+          blob.sumValue += values[cur];
+          if (cx < blob.minX) blob.minX = cx;
+          if (cx > blob.maxX) blob.maxX = cx;
+          if (cy < blob.minY) blob.minY = cy;
+          if (cy > blob.maxY) blob.maxY = cy;
           // neighbors: up, down, left, right
           if (cy > 0) {
             const n = cur - w; if (bin[n] === 1 && !visited[n]) { visited[n] = 1; stack.push(n); }
@@ -72,25 +276,129 @@ async function analyzeStickyTrapImage(filePath) {
             const n = cur + 1; if (bin[n] === 1 && !visited[n]) { visited[n] = 1; stack.push(n); }
           }
         }
-        if (size >= MIN_BLOB_SIZE) components.push(size);
+        if (blob.size >= MIN_BLOB_SIZE) components.push(blob);
+        else if (excludedBlobs.length < MAX_OVERLAY_EXCLUDED) excludedBlobs.push(blob);
       }
     }
   }
 
-  // Heuristic pest count = number of blobs
-  const estimatedPestCount = components.length;
+  // Heuristic pest count = number of blobs, corrected for merged blobs
+  const rawBlobCount = components.length;
+  const blobSizes = components.map(blob => blob.size);
+  const split = estimateInsectsFromBlobs(blobSizes, MIN_INSECT_AREA * w * h / 10000);
+  const estimatedPestCount = split.insectCount;
+
+  // Classify each blob; a merged blob adds its estimated insects to its class,
+  // judged by the size of one of them rather than the whole clump (a clump's
+  // shape says nothing about the insects in it, so elongation is skipped there)
+  const classCounts = emptyClassCounts();
+  const background = Math.max(1, selected.background);
+  const blobClasses = components.map((blob, index) => {
+    const insects = split.perBlob[index];
+    const relativeArea = (blob.size / insects) / (w * h) * 10000;
+    const darkness = 1 - (blob.sumValue / blob.size) / background;
+    const elongation = insects > 1 ? 1 : blobElongation(blob);
+    const insectClass = classifyInsectBlob(relativeArea, elongation, darkness);
+    classCounts[insectClass] += insects;
+    return insectClass;
+  });
+
+  // Catch positions on the card ([x, y, insects], x/y 0-1) so later photos of the
+  // same trap can tell old catches from new ones
+  const catchPoints = components.map((blob, index) => [
+    Number((blob.sumX / blob.size / w).toFixed(4)),
+    Number((blob.sumY / blob.size / h).toFixed(4)),
+    split.perBlob[index]
+  ]);
+
+  // Blob outlines in original photo pixels, for the annotated overlay
+  const toPhoto = (x, y) => {
+    const p = toFrame(x, y);
+    return { x: Math.round(p.x * scaleX), y: Math.round(p.y * scaleY) };
+  };
+  const pad = 2; // keep the box off the insect itself
+  const outline = blob => [
+    toPhoto(blob.minX - pad, blob.minY - pad),
+    toPhoto(blob.maxX + 1 + pad, blob.minY - pad),
+    toPhoto(blob.maxX + 1 + pad, blob.maxY + 1 + pad),
+    toPhoto(blob.minX - pad, blob.maxY + 1 + pad)
+  ];
+  const detections = {
+    width,
+    height,
+    card: cardResult.found ? cardResult.corners : null,
+    counted: components.map((blob, index) => ({
+      outline: outline(blob),
+      insects: split.perBlob[index],
+      insectClass: blobClasses[index]
+    })),
+    excluded: excludedBlobs.map(blob => ({ outline: outline(blob) }))
+  };
 
   const analysis = {
     width: w,
     height: h,
-    threshold: THRESHOLD,
+    frameWidth,
+    frameHeight,
+    card: cardResult,
+    threshold,
+    thresholdMethod: 'otsu',
+    thresholdChannel: selected.channel,
+    thresholdSeparability: Number(selected.separability.toFixed(3)),
+    otsuThreshold: selected.threshold,
+    thresholdClamped,
+    thresholdOffset: THRESHOLD_OFFSET,
     minBlobSize: MIN_BLOB_SIZE,
     darkPixelRatio,
-    blobCount: estimatedPestCount,
-    blobSizes: components.slice(0, 50) // limit details size
+    blobCount: rawBlobCount,
+    singleInsectSize: split.referenceSize,
+    mergedBlobCount: split.mergedBlobs,
+    estimatedInsectCount: estimatedPestCount,
+    classCounts,
+    blobSizes: blobSizes.slice(0, 50) // limit details size
   };
 
-  return { width: w, height: h, darkPixelRatio, estimatedPestCount, analysis };
+  return { width: frameWidth, height: frameHeight, darkPixelRatio, estimatedPestCount, rawBlobCount, classCounts, card: cardResult, catchPoints, analysis, detections };
+}
+
+// ----------------------------------------
+// Annotated detection overlay
+// ----------------------------------------
+// Draws what the analysis counted on top of the original photo so farmers can check it:
+// red boxes = counted blobs (with "xN" when a blob was counted as N insects),
+// dashed blue boxes = blobs too small to count, green outline = detected trap card.
+// Saved next to the original as <name>_annotated.jpg; returns the overlay path.
+
+async function renderDetectionOverlay(filePath, detections) {
+  const { width, height } = detections;
+  const stroke = Math.max(2, Math.round(Math.max(width, height) / 400));
+  const fontSize = stroke * 7;
+  const points = outline => outline.map(p => `${p.x},${p.y}`).join(' ');
+
+  const shapes = [];
+  if (detections.card) {
+    shapes.push(`<polygon points="${points(detections.card)}" fill="none" stroke="#22c55e" stroke-width="${stroke * 2}"/>`);
+  }
+  detections.excluded.forEach(blob => {
+    shapes.push(`<polygon points="${points(blob.outline)}" fill="none" stroke="#0ea5e9" stroke-width="${Math.max(1, stroke / 2)}" stroke-dasharray="${stroke * 2},${stroke}"/>`);
+  });
+  detections.counted.forEach(blob => {
+    shapes.push(`<polygon points="${points(blob.outline)}" fill="none" stroke="#ef4444" stroke-width="${stroke}"/>`);
+    if (blob.insects > 1) {
+      const { x, y } = blob.outline[0];
+      shapes.push(`<text x="${x}" y="${Math.max(fontSize, y - stroke)}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" fill="#ef4444">x${blob.insects}</text>`);
+    }
+  });
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+
+  const ext = path.extname(filePath);
+  const overlayPath = path.join(path.dirname(filePath), `${path.basename(filePath, ext)}_annotated.jpg`);
+  await sharp(filePath)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .withMetadata() // keep EXIF orientation so it lines up with the original in the browser
+    .jpeg({ quality: 85 })
+    .toFile(overlayPath);
+  return overlayPath;
 }
 
 // ----------------------------------------
@@ -102,14 +410,218 @@ async function analyzeStickyTrapImage(filePath) {
 // - frequency of new uploads in the last day
 // Risk score in [0, 1]; levels: low, medium, high.
 
-function computeRiskLevel(score) {
-  if (score >= 0.8) return 'high';
-  if (score >= 0.5) return 'medium';
+const RISK_THRESHOLDS = { medium: 0.5, high: 0.8 };
+
+function computeRiskLevel(score, thresholds = RISK_THRESHOLDS) {
+  if (score >= thresholds.high) return 'high';
+  if (score >= thresholds.medium) return 'medium';
   return 'low';
 }
 
-function computeForecastForArea(username, areaId, db) {
-  const rows = db.prepare('SELECT id, dark_pixel_ratio, estimated_pest_count FROM images WHERE username = ? AND area_id = ? ORDER BY id DESC LIMIT 20').all(username, areaId);
+// How much one insect of each class counts toward the pest amount.
+// Thrips and whiteflies spread viruses and build up fast; one moth stands for a batch of larvae.
+const CLASS_WEIGHTS = { whitefly: 1.2, thrips: 1.5, aphid: 1.0, moth: 2.0, other: 0.5 };
+
+function parseClassCounts(json) {
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Class-weighted insect count; falls back to the plain total for images without classes
+function weightedPestCount(estimatedCount, classCounts) {
+  const count = Math.max(0, Number(estimatedCount || 0));
+  if (!classCounts) return count;
+  let weighted = 0;
+  let classified = 0;
+  for (const [name, n] of Object.entries(classCounts)) {
+    weighted += n * (CLASS_WEIGHTS[name] ?? 1);
+    classified += n;
+  }
+  if (classified === 0) return count;
+  // A count corrected below what was classified keeps the class mix, scaled down
+  if (count < classified) return weighted * (count / classified);
+  // Insects the classifier didn't account for count at weight 1
+  return weighted + (count - classified);
+}
+
+// Manually corrected counts win over the analyzer's estimate
+function effectivePestCount(row) {
+  const corrected = row.corrected_count;
+  return corrected === null || corrected === undefined ? Number(row.estimated_pest_count || 0) : Number(corrected);
+}
+
+// Count used for the forecast. Photos linked to a trap use the new catches since the
+// trap's previous photo as a per-day rate (intervals under a day count as a day), so
+// insects that stay stuck to the card aren't counted again on every photo.
+function forecastPestCount(row) {
+  const rowClasses = parseClassCounts(row.class_counts_json);
+  const count = effectivePestCount(row);
+  const cumulative = weightedPestCount(count, rowClasses);
+  if (row.new_catch_count === null || row.new_catch_count === undefined) return cumulative;
+
+  // New catches were measured against the estimate; follow a manual correction proportionally
+  const estimated = Number(row.estimated_pest_count || 0);
+  const newCatches = estimated > 0 ? row.new_catch_count * (count / estimated) : row.new_catch_count;
+  const days = Math.max(1, Number(row.catch_interval_days || 0));
+  // Scale by the image's class weighting so thrips/whitefly-heavy traps still weigh more
+  return (newCatches / days) * (cumulative / Math.max(1, count));
+}
+
+// ----------------------------------------
+// Trend and horizon projections
+// ----------------------------------------
+
+const DECAY_HALF_LIFE_DAYS = 7; // a photo a week old counts half as much as one from today
+const FORECAST_IMAGE_LIMIT = 50;
+const MIN_LINEAR_SPAN_DAYS = 0.5; // photos closer together than this don't show a trend
+const MIN_QUADRATIC_SPAN_DAYS = 2;
+const MAX_PROJECTION_FACTOR = 4; // projections stay within 4x the highest observed value
+const CONFIDENCE_Z = 1.645; // 90% interval
+const DEGREE_DAY_RISK_WEIGHT = 0.3; // risk rises up to 30% around a generation peak of the trapped species
+const FORECAST_HORIZONS = [
+  { minutes: 24 * 60, label: '24h' },
+  { minutes: 72 * 60, label: '72h' },
+  { minutes: 7 * 24 * 60, label: '7d' }
+];
+
+// Continuous version of the pest level bands used below (<=2, <=5, <=12, <=25, more),
+// 0-1, so a projected count can move the risk score smoothly
+const LEVEL_POINTS = [[2, 0], [5, 1], [12, 2], [25, 3], [40, 4]];
+
+function countLevelScore(count) {
+  if (count <= LEVEL_POINTS[0][0]) return 0;
+  for (let i = 1; i < LEVEL_POINTS.length; i++) {
+    const [x1, y1] = LEVEL_POINTS[i];
+    const [x0, y0] = LEVEL_POINTS[i - 1];
+    if (count <= x1) return (y0 + (y1 - y0) * (count - x0) / (x1 - x0)) / 4;
+  }
+  return 1;
+}
+
+// Solve a small linear system (Gauss-Jordan); returns null when singular
+function solveLinear(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = a[r][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[r][k] -= f * a[col][k];
+    }
+  }
+  return a.map((row, i) => row[n] / row[i]);
+}
+
+function invertMatrix(matrix) {
+  const n = matrix.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const unit = new Array(n).fill(0);
+    unit[j] = 1;
+    const column = solveLinear(matrix, unit);
+    if (!column) return null;
+    columns.push(column);
+  }
+  return matrix.map((row, i) => columns.map(column => column[i]));
+}
+
+// Weighted least squares fit of value over time (days, 0 = now, past is negative).
+// Uses a quadratic when the photos span enough days, a line or a constant otherwise.
+// Returns { degree, coefficients, inverse (of X'WX), residualVariance, span, maxValue }
+function fitCatchTrend(points) {
+  const times = points.map(p => p.t);
+  const span = Math.max(...times) - Math.min(...times);
+  let degree = 0;
+  if (points.length >= 4 && span >= MIN_QUADRATIC_SPAN_DAYS) degree = 2;
+  else if (points.length >= 2 && span >= MIN_LINEAR_SPAN_DAYS) degree = 1;
+
+  // Weights normalised to sum to n so the residual variance is in the values' units
+  const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+  const weights = points.map(p => (p.weight / totalWeight) * points.length);
+
+  let result = null;
+  for (; degree >= 0 && !result; degree--) {
+    const size = degree + 1;
+    const xtwx = Array.from({ length: size }, () => new Array(size).fill(0));
+    const xtwy = new Array(size).fill(0);
+    points.forEach((p, i) => {
+      const x = [1, p.t, p.t * p.t].slice(0, size);
+      for (let r = 0; r < size; r++) {
+        xtwy[r] += weights[i] * x[r] * p.value;
+        for (let c = 0; c < size; c++) xtwx[r][c] += weights[i] * x[r] * x[c];
+      }
+    });
+    const inverse = invertMatrix(xtwx);
+    if (!inverse) continue;
+    const coefficients = inverse.map(row => row.reduce((sum, v, k) => sum + v * xtwy[k], 0));
+
+    const dof = points.length - size;
+    let residualVariance = null;
+    if (dof > 0) {
+      const sse = points.reduce((sum, p, i) => {
+        const fitted = coefficients.reduce((s, b, k) => s + b * Math.pow(p.t, k), 0);
+        return sum + weights[i] * (p.value - fitted) ** 2;
+      }, 0);
+      residualVariance = sse / dof;
+    }
+    result = { degree, coefficients, inverse, residualVariance };
+  }
+
+  while (result.coefficients.length < 3) result.coefficients.push(0);
+  return { ...result, span, maxValue: Math.max(...points.map(p => p.value)) };
+}
+
+// Projected value and confidence interval t days ahead
+function projectTrend(fit, t) {
+  const [a, b, c] = fit.coefficients;
+  // Curvature is only trusted as far ahead as the photos reach back; past that the trend goes on straight
+  const curved = t * Math.min(t, fit.span);
+  const x = [1, t, curved].slice(0, fit.degree + 1);
+  const raw = a + b * t + c * curved;
+  const value = Math.min(Math.max(0, raw), Math.max(1, fit.maxValue) * MAX_PROJECTION_FACTOR);
+
+  // Counts are at least as noisy as Poisson counts; with too few photos that's all we have
+  const noise = Math.max(fit.residualVariance ?? 0, value, 1);
+  let parameterVariance = 0;
+  for (let r = 0; r < x.length; r++) {
+    for (let k = 0; k < x.length; k++) parameterVariance += x[r] * fit.inverse[r][k] * x[k];
+  }
+  // Beyond the fit's own uncertainty, the pest level can drift: widen with the horizon
+  const drift = Math.max(0, t) / DECAY_HALF_LIFE_DAYS;
+  const spread = CONFIDENCE_Z * Math.sqrt(noise * (1 + parameterVariance + drift));
+  return { value, low: Math.max(0, value - spread), high: value + spread };
+}
+
+// SQLite datetime values (UTC, no zone marker) -> ms
+function dbTimeMs(value) {
+  return new Date(String(value).replace(' ', 'T') + 'Z').getTime();
+}
+
+// Pest level 0-4 (very low .. very high) of a forecast count
+function pestLevelForCount(count) {
+  if (count <= 2) return 0; // very low
+  if (count <= 5) return 1; // low
+  if (count <= 12) return 2; // moderate
+  if (count <= 25) return 3; // high
+  return 4; // very high
+}
+
+// options.asOf ('YYYY-MM-DD HH:MM:SS') computes the forecast as it would have been at that
+// time, from the images uploaded by then; used to recompute stored forecasts
+function computeForecastForArea(username, areaId, db, options = {}) {
+  const columns = 'id, dark_pixel_ratio, estimated_pest_count, corrected_count, class_counts_json, new_catch_count, catch_interval_days, created_at';
+  const rows = options.asOf
+    ? db.prepare(`SELECT ${columns} FROM images WHERE username = ? AND area_id = ? AND COALESCE(uploaded_at, created_at) <= ? ORDER BY created_at DESC, id DESC LIMIT ?`).all(username, areaId, options.asOf, FORECAST_IMAGE_LIMIT)
+    : db.prepare(`SELECT ${columns} FROM images WHERE username = ? AND area_id = ? ORDER BY created_at DESC, id DESC LIMIT ?`).all(username, areaId, FORECAST_IMAGE_LIMIT);
+  const referenceMs = options.asOf ? dbTimeMs(options.asOf) : Date.now();
 
   if (rows.length === 0) {
     const riskScore = 0.1; // default low
@@ -117,33 +629,37 @@ function computeForecastForArea(username, areaId, db) {
     return {
       riskScore,
       riskLevel,
-      details: { reason: 'no_data', recentImages: 0 }
+      details: { reason: 'no_data', recentImages: 0 },
+      horizons: FORECAST_HORIZONS.map(horizon => ({
+        horizonMinutes: horizon.minutes,
+        label: horizon.label,
+        projectedCount: null,
+        interval: null,
+        riskScore,
+        riskLevel,
+        riskInterval: { low: riskScore, high: riskScore }
+      }))
     };
   }
 
   // Analyze pest amounts distribution instead of just averages
+  const classCounts = emptyClassCounts();
   const pestAmounts = rows.map(row => {
-    const count = Math.max(0, Number(row.estimated_pest_count || 0));
-    if (count <= 2) return { level: 0, count }; // very low
-    else if (count <= 5) return { level: 1, count }; // low
-    else if (count <= 12) return { level: 2, count }; // moderate
-    else if (count <= 25) return { level: 3, count }; // high
-    else return { level: 4, count }; // very high
+    const rowClasses = parseClassCounts(row.class_counts_json);
+    if (rowClasses) INSECT_CLASSES.forEach(name => classCounts[name] += rowClasses[name] || 0);
+    const count = forecastPestCount(row);
+    // More recent photos weigh more, by how long ago they were taken (not by row order)
+    const ageDays = Math.max(0, (referenceMs - dbTimeMs(row.created_at)) / (24 * 60 * 60 * 1000));
+    const weight = Math.pow(0.5, ageDays / DECAY_HALF_LIFE_DAYS);
+    return { level: pestLevelForCount(count), count, ageDays, weight };
   });
 
-  // Calculate distribution with recency weighting (more recent images have more weight)
+  // Calculate distribution with recency weighting
   const levelCounts = [0, 0, 0, 0, 0]; // counts for each level
-  const totalWeight = pestAmounts.reduce((sum, pest, index) => {
-    // More recent images get higher weight (exponential decay)
-    const weight = Math.exp(-index * 0.2); // Recent images have ~1.0 weight, older ones decay
-    if (pest.level === 0) levelCounts[0] += weight;
-    else if (pest.level === 1) levelCounts[1] += weight;
-    else if (pest.level === 2) levelCounts[2] += weight;
-    else if (pest.level === 3) levelCounts[3] += weight;
-    else if (pest.level === 4) levelCounts[4] += weight;
-    return sum + weight;
+  const totalWeight = pestAmounts.reduce((sum, pest) => {
+    levelCounts[pest.level] += pest.weight;
+    return sum + pest.weight;
   }, 0);
-
   const totalImages = pestAmounts.length;
   const levelDistribution = levelCounts.map(count => (count / totalWeight) * 100);
 
@@ -177,8 +693,35 @@ function computeForecastForArea(username, areaId, db) {
   
   score = Math.max(0, Math.min(1, score));
 
+  // Fitted trend of the forecast counts over time, projected to each horizon. The horizon
+  // risk is the current risk moved by how far the projection shifts the pest level.
+  const fit = fitCatchTrend(pestAmounts.map(pest => ({ t: -pest.ageDays, value: pest.count, weight: pest.weight })));
+  const fittedNow = projectTrend(fit, 0);
+  const clampScore = value => Math.max(0, Math.min(1, value));
+
+  // Degree-day model: generation peaks of the species on the traps raise the risk around them
+  const development = degreeDays.computeDegreeDays(username, areaId, db, { asOf: options.asOf });
+  const emergenceFactor = daysAhead => 1 + DEGREE_DAY_RISK_WEIGHT * degreeDays.emergenceRiskBoost(development, classCounts, daysAhead);
+  const trapScore = score;
+  score = clampScore(trapScore * emergenceFactor(0));
   const riskLevel = computeRiskLevel(score);
-  
+
+  const horizons = FORECAST_HORIZONS.map(horizon => {
+    const days = horizon.minutes / (24 * 60);
+    const projection = projectTrend(fit, days);
+    const shift = value => clampScore((trapScore + countLevelScore(value) - countLevelScore(fittedNow.value)) * emergenceFactor(days));
+    const horizonScore = shift(projection.value);
+    return {
+      horizonMinutes: horizon.minutes,
+      label: horizon.label,
+      projectedCount: Number(projection.value.toFixed(2)),
+      interval: { low: Number(projection.low.toFixed(2)), high: Number(projection.high.toFixed(2)) },
+      riskScore: horizonScore,
+      riskLevel: computeRiskLevel(horizonScore),
+      riskInterval: { low: shift(projection.low), high: shift(projection.high) }
+    };
+  });
+
   return {
     riskScore: score,
     riskLevel,
@@ -191,13 +734,44 @@ function computeForecastForArea(username, areaId, db) {
         high: levelDistribution[3].toFixed(1),
         veryHigh: levelDistribution[4].toFixed(1)
       },
-      weightedScore: weightedScore.toFixed(1)
-    }
+      weightedScore: weightedScore.toFixed(1),
+      classCounts,
+      newCatchImages: rows.filter(row => row.new_catch_count !== null && row.new_catch_count !== undefined).length,
+      // Counts are new catches per day for trap photos, insects on the card otherwise
+      trend: {
+        model: ['constant', 'linear', 'quadratic'][fit.degree],
+        fittedNow: Number(fittedNow.value.toFixed(2)),
+        slopePerDay: Number(fit.coefficients[1].toFixed(3)),
+        accelerationPerDay2: Number((2 * fit.coefficients[2]).toFixed(3)),
+        halfLifeDays: DECAY_HALF_LIFE_DAYS,
+        latestImageAgeDays: Number(pestAmounts[0].ageDays.toFixed(2))
+      },
+      degreeDays: {
+        trapScore,
+        emergenceBoost: Number((emergenceFactor(0) - 1).toFixed(3)),
+        nextPeaks: development.species
+          .filter(status => status.nextPeakDate && classCounts[status.species] > 0)
+          .map(status => ({ species: status.species, date: status.nextPeakDate, daysAway: status.daysToNextPeak }))
+      }
+    },
+    horizons
   };
 }
 
-function categorizePestAmount(estimatedCount, darkPixelRatio) {
-  const count = Math.max(0, Number(estimatedCount || 0));
+// One stored forecasts row's worth of a forecast: the given horizon's projection,
+// or the current risk for horizons we don't project (older rows used 60 minutes)
+function horizonForecast(forecast, horizonMinutes) {
+  const horizon = (forecast.horizons || []).find(h => h.horizonMinutes === horizonMinutes);
+  if (!horizon) return { riskScore: forecast.riskScore, riskLevel: forecast.riskLevel, details: forecast.details };
+  return {
+    riskScore: horizon.riskScore,
+    riskLevel: horizon.riskLevel,
+    details: { ...forecast.details, horizon }
+  };
+}
+
+function categorizePestAmount(estimatedCount, darkPixelRatio, classCounts = null) {
+  const count = weightedPestCount(estimatedCount, classCounts);
   let category = 'very low';
   if (count <= 2) category = 'very low';
   else if (count <= 5) category = 'low';
@@ -212,70 +786,105 @@ function categorizePestAmount(estimatedCount, darkPixelRatio) {
   return category;
 }
 
-function simpleAdviceForLevel(level) {
-  switch (level) {
-    case 'high': return 'High risk: Inspect traps now and consider treatment.';
-    case 'medium': return 'Medium risk: Monitor closely; check traps later today.';
-    default: return 'Low risk: Routine monitoring is sufficient.';
-  }
+// Heat stress of one microclimate reading: { score 0-100, level, indices, components }
+// Continuous indices (heat index, VPD, dew point) from heat-indices.js; the level comes from the score
+function computeHeatStress(airTemperature, soilTemperature, soilMoisture, relativeHumidity) {
+  return heatIndices.computeHeatStress(airTemperature, soilTemperature, soilMoisture, relativeHumidity);
 }
 
-// Heat stress algorithm based on microclimate data
 function computeHeatStressLevel(airTemperature, soilTemperature, soilMoisture, relativeHumidity) {
-  let stressScore = 0;
-  
-  // Air temperature contribution (0-50% weight)
-  if (airTemperature > 35) stressScore += 50;
-  else if (airTemperature > 32) stressScore += 35;
-  else if (airTemperature > 30) stressScore += 20;
-  else if (airTemperature > 25) stressScore += 10;
-  
-  // Soil temperature contribution (0-25% weight)
-  if (soilTemperature > 30) stressScore += 25;
-  else if (soilTemperature > 28) stressScore += 15;
-  else if (soilTemperature > 26) stressScore += 10;
-  else if (soilTemperature > 24) stressScore += 5;
-  
-  // Low soil moisture penalty (0-15% weight)
-  if (soilMoisture < 20) stressScore += 15;
-  else if (soilMoisture < 30) stressScore += 10;
-  else if (soilMoisture < 40) stressScore += 5;
-  
-  // Low humidity penalty (0-10% weight)
-  if (relativeHumidity < 30) stressScore += 10;
-  else if (relativeHumidity < 50) stressScore += 5;
-  
-  // Clamp score to 100%
-  stressScore = Math.min(stressScore, 100);
-  
-  // Convert to stress levels
-  if (stressScore >= 70) return 'critical';
-  if (stressScore >= 50) return 'high';
-  if (stressScore >= 30) return 'moderate';
-  if (stressScore >= 15) return 'low';
-  return 'minimal';
+  return computeHeatStress(airTemperature, soilTemperature, soilMoisture, relativeHumidity).level;
 }
 
-function heatStressAdviceForLevel(level) {
-  switch (level) {
-    case 'critical': return 'Critical heat stress: Immediate action required. Apply emergency cooling and irrigation.';
-    case 'high': return 'High heat stress: Increase irrigation frequency and consider shade cover.';
-    case 'moderate': return 'Moderate heat stress: Monitor closely and prepare irrigation if conditions worsen.';
-    case 'low': return 'Low heat stress: Normal monitoring sufficient, watch for signs of stress.';
-    default: return 'Minimal heat stress: Optimal conditions for plant growth.';
-  }
+// Heat stress of a reading for the farm's crops (db rows with crop_key, planting_date).
+// Each crop is scored against the ranges of its current growth stage (crop-profiles.json);
+// the farm's score and level are those of the worst-off crop, or the generic ones without crops.
+function computeFarmHeatStress(reading, crops = []) {
+  const generic = computeHeatStress(reading.air_temperature, reading.soil_temperature, reading.soil_moisture, reading.relative_humidity);
+  const perCrop = cropProfiles.evaluateCrops(crops, reading).map(item => cropHeatStress(item, item.stress.score));
+  const worst = perCrop.reduce((max, item) => (!max || item.score > max.score ? item : max), null);
+  return {
+    ...generic,
+    score: worst ? worst.score : generic.score,
+    level: worst ? worst.level : generic.level,
+    components: worst ? worst.components : generic.components,
+    crops: perCrop
+  };
+}
+
+function cropHeatStress(item, score) {
+  const level = heatIndices.heatStressLevelForScore(score);
+  return {
+    cropId: item.crop.id,
+    cropKey: item.profile.key,
+    cropName: item.profile.name,
+    plantingDate: item.crop.planting_date,
+    stage: item.stage.key,
+    stageName: item.stage.name,
+    daysAfterPlanting: item.daysAfterPlanting,
+    score,
+    level,
+    components: item.stress.components,
+    stageNote: item.stage.note || null
+  };
+}
+
+// Overall heat stress from recent microclimate rows (newest first): the mean stored score.
+// Rows saved before scores existed are scored from their values. With crops, each crop's
+// mean over the rows, each scored at the stage the crop was in when the reading was taken
+// (rows from before planting are left out); the worst crop decides.
+function summarizeHeatStress(rows, crops = []) {
+  if (rows.length === 0) return null;
+  const scored = rows.map(row => {
+    const computed = computeHeatStress(row.air_temperature, row.soil_temperature, row.soil_moisture, row.relative_humidity);
+    return { score: row.heat_stress_score ?? computed.score, indices: computed.indices };
+  });
+  const mean = values => Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(1));
+
+  const profiles = cropProfiles.loadCropProfiles();
+  const perCrop = crops.map(crop => {
+    const evaluated = rows
+      .map(row => cropProfiles.evaluateCrops([crop], row, profiles, row.created_at ? dbTimeMs(row.created_at) : Date.now())[0])
+      .filter(Boolean);
+    if (evaluated.length === 0) return null;
+    return cropHeatStress(evaluated[0], mean(evaluated.map(item => item.stress.score)));
+  }).filter(Boolean);
+  const worst = perCrop.reduce((max, item) => (!max || item.score > max.score ? item : max), null);
+
+  const score = worst ? worst.score : mean(scored.map(item => item.score));
+  const level = heatIndices.heatStressLevelForScore(score);
+  return {
+    score,
+    level,
+    latest: scored[0],
+    readings: scored, // same order as rows
+    crops: perCrop
+  };
 }
 
 // Import community analysis functions for re-export
 const communityAnalysis = require('./community-analysis');
 
 module.exports = {
+  ANALYSIS_VERSION,
   analyzeStickyTrapImage,
+  estimateInsectsFromBlobs,
+  renderDetectionOverlay,
+  FORECAST_HORIZONS,
+  RISK_THRESHOLDS,
+  computeRiskLevel,
+  forecastPestCount,
+  fitCatchTrend,
+  pestLevelForCount,
   computeForecastForArea,
+  horizonForecast,
+  dbTimeMs,
   categorizePestAmount,
-  simpleAdviceForLevel,
+  parseClassCounts,
+  computeHeatStress,
   computeHeatStressLevel,
-  heatStressAdviceForLevel,
+  computeFarmHeatStress,
+  summarizeHeatStress,
   // Re-export community analysis functions for backward compatibility
   computeCommunityPestTrend: communityAnalysis.computeCommunityPestTrend,
   computeCommunityHeatStressTrend: communityAnalysis.computeCommunityHeatStressTrend
@@ -0,0 +1,83 @@
+// Per-user analyzer calibration from manual count corrections
+// Re-runs the analyzer over the user's corrected images with a small grid of
+// threshold offsets and minimum blob sizes, and keeps the combination that matches
+// their corrected counts best (only if it beats the defaults).
+// A correction only records a calibration request (calibration_requests); the upload worker
+// runs it once no more corrections have come in for CALIBRATION_DELAY_SECONDS, between
+// uploads, yielding after every image so the web process stays responsive.
+
+const path = require('path');
+const fs = require('fs');
+const { analyzeStickyTrapImage } = require('./analysis');
+
+const THRESHOLD_OFFSETS = [-15, 0, 15];
+const MIN_BLOB_SIZES = [5, 10, 20];
+const DEFAULT_OPTIONS = { thresholdOffset: 0, minBlobSize: 10 };
+const MIN_CORRECTIONS = 2; // one correction is too easy to overfit
+const MAX_CORRECTIONS = 6; // most recent corrections used, keeps the grid search quick
+const CALIBRATION_DELAY_SECONDS = 30; // corrections often come in a burst; calibrate once after it
+
+// Analyzer options for a user (defaults until they have a calibration)
+function getAnalysisOptions(username, db) {
+  const row = db.getCalibration.get(username);
+  if (!row) return { ...DEFAULT_OPTIONS };
+  return { thresholdOffset: row.threshold_offset, minBlobSize: row.min_blob_size };
+}
+
+async function calibrateUser(username, db) {
+  const images = db.getCorrectedImages.all(username, MAX_CORRECTIONS)
+    .filter(row => fs.existsSync(path.join(__dirname, row.file_path)));
+
+  if (images.length < MIN_CORRECTIONS) {
+    return { updated: false, reason: 'not_enough_corrections', samples: images.length };
+  }
+
+  const results = [];
+  for (const thresholdOffset of THRESHOLD_OFFSETS) {
+    for (const minBlobSize of MIN_BLOB_SIZES) {
+      let totalError = 0;
+      for (const row of images) {
+        const { estimatedPestCount } = await analyzeStickyTrapImage(path.join(__dirname, row.file_path), { thresholdOffset, minBlobSize });
+        totalError += Math.abs(estimatedPestCount - row.corrected_count);
+        // Let requests through between images; each analysis blocks while it runs
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      results.push({ thresholdOffset, minBlobSize, meanAbsError: totalError / images.length });
+    }
+  }
+
+  const defaults = results.find(r => r.thresholdOffset === DEFAULT_OPTIONS.thresholdOffset && r.minBlobSize === DEFAULT_OPTIONS.minBlobSize);
+  // Prefer the defaults on ties so a calibration only moves when it actually helps
+  const best = results.reduce((a, b) => (b.meanAbsError < a.meanAbsError ? b : a), defaults);
+
+  db.upsertCalibration.run(username, best.thresholdOffset, best.minBlobSize, images.length, best.meanAbsError, defaults.meanAbsError);
+  return { updated: true, samples: images.length, ...best, defaultAbsError: defaults.meanAbsError };
+}
+
+// Asks for a calibration after a correction; later corrections push it back
+function requestCalibration(username, db) {
+  db.requestCalibration.run(username);
+}
+
+// Runs the oldest calibration request that has waited CALIBRATION_DELAY_SECONDS, for the
+// upload worker. Returns false if none was due.
+async function runDueCalibration(db) {
+  const request = db.getDueCalibrationRequest.get(`-${CALIBRATION_DELAY_SECONDS} seconds`);
+  if (!request) return false;
+  try {
+    const result = await calibrateUser(request.username, db);
+    console.log('Calibration for', request.username, result);
+  } catch (err) {
+    console.error('Error calibrating analyzer for user:', request.username, err);
+  }
+  // A correction made while this ran asked again and keeps its request for another run
+  db.deleteCalibrationRequest.run(request.username, request.requested_at);
+  return true;
+}
+
+module.exports = {
+  getAnalysisOptions,
+  calibrateUser,
+  requestCalibration,
+  runDueCalibration
+};
@@ -1,12 +1,158 @@
 // Community-wide aggregation algorithms
 // Separated from analysis.js for better organization
+// community is the farms around the user's farm (farmLocations.communityFor)
+// Trends are built per farm first, so a farm that uploads a lot counts no more than one that
+// uploads a little: each farm's state is its latest submission or its time average (the mean of
+// its daily means), and farms are combined equally or weighted by farm size (profiles.farm_size).
+// COMMUNITY_FARM_STATE (average or latest) and COMMUNITY_WEIGHTING (equal or farm_size) set the
+// defaults; options.farmState and options.weighting override them.
+// Trends read the submissions of a time window (farmLocations.communityWindow: 'recent' or 'all',
+// or options.days), and farms that have been quiet for STALE_FARM_DAYS are left out.
+
+const farmLocations = require('./farm-locations');
+
+const PEST_COLUMNS = 't.dark_pixel_ratio, COALESCE(t.corrected_count, t.estimated_pest_count) AS estimated_pest_count, t.pest_amount, t.created_at, p.farm_size';
+const MICROCLIMATE_COLUMNS = 't.air_temperature, t.soil_temperature, t.soil_moisture, t.relative_humidity, t.heat_stress_level, t.created_at, p.farm_size';
+
+const FARM_STATES = ['average', 'latest'];
+const WEIGHTINGS = ['equal', 'farm_size'];
+const DEFAULT_FARM_STATE = FARM_STATES.includes(process.env.COMMUNITY_FARM_STATE) ? process.env.COMMUNITY_FARM_STATE : 'average';
+const DEFAULT_WEIGHTING = WEIGHTINGS.includes(process.env.COMMUNITY_WEIGHTING) ? process.env.COMMUNITY_WEIGHTING : 'equal';
+const MIN_CONFIDENT_FARMS = 3; // fewer farms than this and a trend is low confidence
+const FARM_SUBMISSION_LIMITS = { recent: 50, all: 100 }; // latest submissions per farm
+const STALE_FARM_DAYS = 14; // a farm without a submission this recent no longer describes the community
+const HIGH_LEVEL = 2.5; // farm state at or above this counts as high
+
+// Level scales (index 0-4) of the community trends
+const PEST_LEVELS = ['very_low', 'low', 'moderate', 'high', 'very_high'];
+const HEAT_LEVELS = ['minimal', 'low', 'moderate', 'high', 'critical'];
+
+function pestLevelIndex(count) {
+  count = Math.max(0, Number(count || 0));
+  if (count <= 2) return 0; // very low
+  else if (count <= 5) return 1; // low
+  else if (count <= 12) return 2; // moderate
+  else if (count <= 25) return 3; // high
+  else return 4; // very high
+}
+
+function heatLevelIndex(level) {
+  const index = HEAT_LEVELS.indexOf((level || 'minimal').toLowerCase());
+  return index === -1 ? 0 : index;
+}
+
+function aggregationOptions(options = {}) {
+  return {
+    farmState: FARM_STATES.includes(options.farmState) ? options.farmState : DEFAULT_FARM_STATE,
+    weighting: WEIGHTINGS.includes(options.weighting) ? options.weighting : DEFAULT_WEIGHTING
+  };
+}
+
+// One farm's state of a value over its rows (newest first): the latest value, or the mean
+// of its daily means. null when the farm has no value.
+function farmValue(rows, valueOf, farmState) {
+  const values = rows.map(row => ({ day: row.created_at.slice(0, 10), value: valueOf(row) }))
+    .filter(entry => entry.value !== null && entry.value !== undefined && !Number.isNaN(entry.value));
+  if (values.length === 0) return null;
+  if (farmState === 'latest') return values[0].value;
+  const byDay = {};
+  values.forEach(entry => (byDay[entry.day] = byDay[entry.day] || []).push(entry.value));
+  const dayMeans = Object.values(byDay).map(dayValues => dayValues.reduce((sum, value) => sum + value, 0) / dayValues.length);
+  return dayMeans.reduce((sum, value) => sum + value, 0) / dayMeans.length;
+}
+
+// Community rows (newest first) grouped into farms, each with its state of every field
+// ({ name: row => value }) and its weight. Farms without a size weigh as the median sized farm.
+function farmStates(rows, fields, options) {
+  const byFarm = new Map();
+  rows.forEach(row => {
+    if (!byFarm.has(row.username)) byFarm.set(row.username, []);
+    byFarm.get(row.username).push(row);
+  });
+  const sizes = [...byFarm.values()].map(farmRows => Number(farmRows[0].farm_size)).filter(size => size > 0).sort((a, b) => a - b);
+  const medianSize = sizes.length ? sizes[Math.floor(sizes.length / 2)] : 1;
+
+  return [...byFarm.entries()].map(([username, farmRows]) => {
+    const size = Number(farmRows[0].farm_size);
+    const values = {};
+    Object.entries(fields).forEach(([name, valueOf]) => values[name] = farmValue(farmRows, valueOf, options.farmState));
+    return {
+      username,
+      submissions: farmRows.length,
+      weight: options.weighting === 'farm_size' ? (size > 0 ? size : medianSize) : 1,
+      values
+    };
+  });
+}
+
+// Weighted mean of a field over the farms that have it (null if none do)
+function weightedMean(farms, field) {
+  const withValue = farms.filter(farm => farm.values[field] !== null);
+  const totalWeight = withValue.reduce((sum, farm) => sum + farm.weight, 0);
+  if (totalWeight === 0) return null;
+  return withValue.reduce((sum, farm) => sum + farm.weight * farm.values[field], 0) / totalWeight;
+}
+
+// Weighted share of farms whose field is at or above a threshold
+function weightedShare(farms, field, threshold) {
+  const withValue = farms.filter(farm => farm.values[field] !== null);
+  const totalWeight = withValue.reduce((sum, farm) => sum + farm.weight, 0);
+  if (totalWeight === 0) return 0;
+  return withValue.filter(farm => farm.values[field] >= threshold).reduce((sum, farm) => sum + farm.weight, 0) / totalWeight;
+}
+
+// Each farm's latest submissions (limit per farm), so busy farms don't push others out
+function latestPerFarm(rows, limit) {
+  const perFarm = {};
+  return rows.filter(row => (perFarm[row.username] = (perFarm[row.username] || 0) + 1) <= limit);
+}
+
+// The community's rows for a trend: the window's submissions, each farm's latest ones, without
+// stale farms. Returns { rows, days, staleFarms }.
+function trendRows(db, table, community, filterType, options, where = null) {
+  const timeWindow = farmLocations.communityWindow(filterType, options.days);
+  const windowed = farmLocations.communityRows(db, table, community, {
+    columns: table === 'images' ? PEST_COLUMNS : MICROCLIMATE_COLUMNS,
+    where: ['t.created_at >= ?'].concat(where ? [where] : []).join(' AND '),
+    params: [timeWindow.since]
+  });
+  const staleBefore = new Date(Date.now() - STALE_FARM_DAYS * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+  // Rows are newest first, so a farm's first row is its latest
+  const activeFarms = new Set();
+  const staleFarms = new Set();
+  windowed.forEach(row => {
+    if (activeFarms.has(row.username) || staleFarms.has(row.username)) return;
+    (row.created_at >= staleBefore ? activeFarms : staleFarms).add(row.username);
+  });
+  const rows = latestPerFarm(windowed.filter(row => activeFarms.has(row.username)),
+    FARM_SUBMISSION_LIMITS[filterType] || FARM_SUBMISSION_LIMITS.recent);
+  return { rows, days: timeWindow.days, staleFarms: staleFarms.size };
+}
+
+// What drove a trend: farm count, weighting, and the largest single farm's share of the weight
+function farmSummary(farms, options) {
+  const totalWeight = farms.reduce((sum, farm) => sum + farm.weight, 0);
+  const largest = farms.reduce((max, farm) => Math.max(max, farm.weight), 0);
+  return {
+    farms: farms.length,
+    farmState: options.farmState,
+    weighting: options.weighting,
+    largestFarmShare: totalWeight ? Number((largest / totalWeight).toFixed(2)) : 0
+  };
+}
+
+function recentActivity(rows) {
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  const recent = rows.filter(row => Date.parse(row.created_at.replace(' ', 'T') + 'Z') > dayAgo);
+  const farms = new Set(recent.map(row => row.username)).size;
+  return `${recent.length} submissions from ${farms} ${farms === 1 ? 'farm' : 'farms'} in last 24 hours`;
+}
 
 // Community pest trend computation
-function computeCommunityPestTrend(areaId, db, filterType = 'recent') {
+function computeCommunityPestTrend(community, db, filterType = 'recent', options = {}) {
   try {
-    const communityData = filterType === 'recent' 
-      ? db.getCommunityPestDataRecent.all(areaId)
-      : db.getCommunityPestData.all(areaId);
+    const aggregation = aggregationOptions(options);
+    const { rows: communityData, days, staleFarms } = trendRows(db, 'images', community, filterType, options);
     
     if (communityData.length === 0) {
       return {
@@ -15,24 +161,20 @@ function computeCommunityPestTrend(areaId, db, filterType = 'recent') {
         trendDescription: 'No community data available yet',
         participation: 0,
         confidence: 'low',
-        recentActivity: 'No recent submissions'
+        recentActivity: 'No recent submissions',
+        ...farmSummary([], aggregation),
+        days,
+        staleFarms
       };
     }
     
-    // Analyze pest amounts distribution across community
-    const pestAmounts = communityData.map(row => {
-      const count = Math.max(0, Number(row.estimated_pest_count || 0));
-      if (count <= 2) return 0; // very low
-      else if (count <= 5) return 1; // low
-      else if (count <= 12) return 2; // moderate
-      else if (count <= 25) return 3; // high
-      else return 4; // very high
-    });
+    // Each farm's pest level (0-4), then the community's from the farms
+    const farms = farmStates(communityData, { pestLevel: row => pestLevelIndex(row.estimated_pest_count) }, aggregation);
     
     // Calculate trend indicators
-    const avgPestAmount = pestAmounts.reduce((sum, amount) => sum + amount, 0) / pestAmounts.length;
-    const highRiskCount = pestAmounts.filter(amount => amount >= 3).length;
-    const participationRate = highRiskCount / pestAmounts.length;
+    const avgPestAmount = weightedMean(farms, 'pestLevel');
+    const highRiskFarms = farms.filter(farm => farm.values.pestLevel >= HIGH_LEVEL).length;
+    const participationRate = weightedShare(farms, 'pestLevel', HIGH_LEVEL);
     
     // Determine overall trend
     let trend = 'stable';
@@ -52,19 +194,16 @@ function computeCommunityPestTrend(areaId, db, filterType = 'recent') {
       riskLevel = 'low';
     }
     
-    // Get participation count
-    const userCount = db.getCommunityUserCount.get(areaId).user_count;
-    
     let trendDescription = '';
     let confidence = 'medium';
     
     switch (trend) {
       case 'rising_significantly':
-        trendDescription = `High pest activity detected! ${highRiskCount} out of ${pestAmounts.length} recent submissions show high pest counts`;
+        trendDescription = `High pest activity detected! ${highRiskFarms} out of ${farms.length} farms show high pest counts`;
         confidence = 'high';
         break;
       case 'rising_moderately':
-        trendDescription = `Moderate pest activity increasing. ${Math.round(participationRate * 100)}% of submissions show elevated pest levels`;
+        trendDescription = `Moderate pest activity increasing. ${Math.round(participationRate * 100)}% of farms show elevated pest levels`;
         confidence = 'medium';
         break;
       case 'stable_moderate':
@@ -78,22 +217,21 @@ function computeCommunityPestTrend(areaId, db, filterType = 'recent') {
       default:
         trendDescription = 'Community pest levels are stable';
     }
-    
-    const recentCount = communityData.filter(row => {
-      const submissionTime = new Date(row.created_at);
-      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      return submissionTime > dayAgo;
-    }).length;
+    // A trend from one or two farms is their trend, not the community's
+    if (farms.length < MIN_CONFIDENT_FARMS) confidence = 'low';
     
     return {
       trend,
       riskLevel,
       trendDescription,
-      participation: userCount,
+      participation: farms.length,
       confidence,
-      recentActivity: `${recentCount} submissions in last 24 hours`,
+      recentActivity: recentActivity(communityData),
       averagePestLevel: avgPestAmount.toFixed(1),
-      totalSubmissions: communityData.length
+      totalSubmissions: communityData.length,
+      ...farmSummary(farms, aggregation),
+      days,
+      staleFarms
     };
     
   } catch (err) {
@@ -110,11 +248,10 @@ function computeCommunityPestTrend(areaId, db, filterType = 'recent') {
 }
 
 // Community heat stress trend computation
-function computeCommunityHeatStressTrend(areaId, db, filterType = 'recent') {
+function computeCommunityHeatStressTrend(community, db, filterType = 'recent', options = {}) {
   try {
-    const communityData = filterType === 'recent'
-      ? db.getCommunityMicroclimateDataRecent.all(areaId)
-      : db.getCommunityMicroclimateData.all(areaId);
+    const aggregation = aggregationOptions(options);
+    const { rows: communityData, days, staleFarms } = trendRows(db, 'microclimate_data', community, filterType, options, 't.flagged = 0');
     
     if (communityData.length === 0) {
       return {
@@ -123,25 +260,26 @@ function computeCommunityHeatStressTrend(areaId, db, filterType = 'recent') {
         trendDescription: 'No community microclimate data available yet',
         participation: 0,
         confidence: 'low',
-        recentActivity: 'No recent submissions'
+        recentActivity: 'No recent submissions',
+        ...farmSummary([], aggregation),
+        days,
+        staleFarms
       };
     }
     
-    // Analyze heat stress levels across community
-    const stressLevels = communityData.map(row => {
-      const level = (row.heat_stress_level || 'minimal').toLowerCase();
-      const stressValues = { minimal: 0, low: 1, moderate: 2, high: 3, critical: 4 };
-      return stressValues[level] || 0;
-    });
+    // Each farm's heat stress level (0-4) and conditions, then the community's from the farms
+    const farms = farmStates(communityData, {
+      stressLevel: row => heatLevelIndex(row.heat_stress_level),
+      airTemperature: row => row.air_temperature,
+      relativeHumidity: row => row.relative_humidity
+    }, aggregation);
     
-    const avgStressLevel = stressLevels.reduce((sum, level) => sum + level, 0) / stressLevels.length;
-    const highStressCount = stressLevels.filter(level => level >= 3).length;
-    const participationRate = highStressCount / stressLevels.length;
+    const avgStressLevel = weightedMean(farms, 'stressLevel');
+    const participationRate = weightedShare(farms, 'stressLevel', HIGH_LEVEL);
     
     // Calculate environmental averages
-    const avgAirTemp = communityData.reduce((sum, row) => sum + ( row.air_temperature || 0), 0) / communityData.length;
-    const avgHumidity = communityData.reduce((sum, row) => sum + (row.relative_humidity || 0), 0) / communityData.length;
-    const avgSoilMoisture = communityData.reduce((sum, row) => sum + (row.soil_moisture || 0), 0) / communityData.length;
+    const avgAirTemp = weightedMean(farms, 'airTemperature') || 0;
+    const avgHumidity = weightedMean(farms, 'relativeHumidity') || 0;
     
     // Determine overall heat stress trend
     let trend = 'stable';
@@ -164,15 +302,12 @@ function computeCommunityHeatStressTrend(areaId, db, filterType = 'recent') {
       heatStressLevel = 'minimal';
     }
     
-    // Get participation count
-    const userCount = db.getCommunityUserCountMicroclimate.get(areaId).user_count;
-    
     let trendDescription = '';
     let confidence = 'medium';
     
     switch (trend) {
       case 'critical_conditions':
-        trendDescription = `DANGER: Extreme heat stress detected! ${Math.round(participationRate * 100)}% of community experiencing critical conditions`;
+        trendDescription = `DANGER: Extreme heat stress detected! ${Math.round(participationRate * 100)}% of farms experiencing critical conditions`;
         confidence = 'high';
         break;
       case 'elevated_conditions':
@@ -194,23 +329,22 @@ function computeCommunityHeatStressTrend(areaId, db, filterType = 'recent') {
       default:
         trendDescription = 'Community heat stress levels are stable';
     }
-    
-    const recentCount = communityData.filter(row => {
-      const submissionTime = new Date(row.created_at);
-      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      return submissionTime > dayAgo;
-    }).length;
+    // A trend from one or two farms is their trend, not the community's
+    if (farms.length < MIN_CONFIDENT_FARMS) confidence = 'low';
     
     return {
       trend,
       heatStressLevel,
       trendDescription,
-      participation: userCount,
+      participation: farms.length,
       confidence,
-      recentActivity: `${recentCount} submissions in last 24 hours`,
+      recentActivity: recentActivity(communityData),
       averageAirTemp: avgAirTemp.toFixed(1),
       averageHumidity: avgHumidity.toFixed(1),
-      totalSubmissions: communityData.length
+      totalSubmissions: communityData.length,
+      ...farmSummary(farms, aggregation),
+      days,
+      staleFarms
     };
     
   } catch (err) {
@@ -226,7 +360,159 @@ function computeCommunityHeatStressTrend(areaId, db, filterType = 'recent') {
   }
 }
 
+// ----------------------------------------
+// Trend series: daily and weekly buckets
+// ----------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MIN_COMPARE_SUBMISSIONS = 3; // per week, before week-over-week is tested
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const SERIES_KINDS = {
+  pest: { table: 'images', columns: PEST_COLUMNS, where: null, levels: PEST_LEVELS, levelOf: row => pestLevelIndex(row.estimated_pest_count) },
+  heat: { table: 'microclimate_data', columns: MICROCLIMATE_COLUMNS, where: 't.flagged = 0', levels: HEAT_LEVELS, levelOf: row => heatLevelIndex(row.heat_stress_level) }
+};
+
+function sqliteTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function dateString(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Mann-Whitney U test of two samples of levels (normal approximation with tie correction).
+// Levels are ordinal, so ranks are compared rather than means. Returns { z, pValue }.
+function mannWhitney(current, previous) {
+  const all = current.map(value => ({ value, current: true }))
+    .concat(previous.map(value => ({ value, current: false })))
+    .sort((a, b) => a.value - b.value);
+  const n1 = current.length;
+  const n2 = previous.length;
+  const n = n1 + n2;
+  let rankSum = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j < n && all[j].value === all[i].value) j++;
+    const midRank = (i + 1 + j) / 2;
+    const ties = j - i;
+    tieTerm += ties ** 3 - ties;
+    for (let k = i; k < j; k++) if (all[k].current) rankSum += midRank;
+    i = j;
+  }
+  const u = rankSum - n1 * (n1 + 1) / 2;
+  const sigma = Math.sqrt((n1 * n2 / 12) * ((n + 1) - tieTerm / (n * (n - 1))));
+  if (sigma === 0) return { z: 0, pValue: 1 };
+  const z = (u - n1 * n2 / 2) / sigma;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// The week ending at endMs against the week before it: rising/falling when the levels differ
+// significantly, stable when they don't, null without enough submissions in either week
+function weekOverWeek(entries, endMs) {
+  const inWindow = (from, to) => entries.filter(entry => entry.ms >= from && entry.ms < to).map(entry => entry.level);
+  const current = inWindow(endMs - WEEK_MS, endMs);
+  const previous = inWindow(endMs - 2 * WEEK_MS, endMs - WEEK_MS);
+  const result = { direction: null, change: null, z: null, pValue: null, significant: false, submissions: current.length, previousSubmissions: previous.length };
+  if (current.length < MIN_COMPARE_SUBMISSIONS || previous.length < MIN_COMPARE_SUBMISSIONS) return result;
+  const { z, pValue } = mannWhitney(current, previous);
+  const significant = pValue < SIGNIFICANCE_LEVEL;
+  return {
+    ...result,
+    direction: !significant ? 'stable' : z > 0 ? 'rising' : 'falling',
+    change: Number((mean(current) - mean(previous)).toFixed(2)),
+    z: Number(z.toFixed(2)),
+    pValue: Number(pValue.toFixed(4)),
+    significant
+  };
+}
+
+// A bucket's distribution counts submissions; its mean is per farm like the trends
+function bucketSummary(entries, config, aggregation, startMs, endMs) {
+  const inBucket = entries.filter(entry => entry.ms >= startMs && entry.ms < endMs);
+  const distribution = {};
+  config.levels.forEach(level => distribution[level] = 0);
+  inBucket.forEach(entry => distribution[config.levels[entry.level]]++);
+  const bucketMean = weightedMean(farmStates(inBucket.map(entry => entry.row), { level: config.levelOf }, aggregation), 'level');
+  return {
+    start: dateString(startMs),
+    end: dateString(endMs - DAY_MS),
+    submissions: inBucket.length,
+    participants: new Set(inBucket.map(entry => entry.username)).size,
+    mean: bucketMean === null ? null : Number(bucketMean.toFixed(2)),
+    distribution,
+    weekOverWeek: weekOverWeek(entries, endMs)
+  };
+}
+
+// Community pest or heat stress levels from fromMs to toMs (UTC days, both included) in daily
+// buckets and weekly (Monday to Sunday) buckets. Each bucket's week-over-week compares the
+// seven days ending with the bucket against the seven days before.
+function computeCommunityTrendSeries(community, db, kind, fromMs, toMs, options = {}) {
+  const config = SERIES_KINDS[kind];
+  const aggregation = aggregationOptions(options);
+  const firstDay = Math.floor(fromMs / DAY_MS) * DAY_MS;
+  const endMs = Math.floor(toMs / DAY_MS) * DAY_MS + DAY_MS;
+  const firstWeek = firstDay - ((new Date(firstDay).getUTCDay() + 6) % 7) * DAY_MS;
+
+  const where = ['t.created_at >= ? AND t.created_at < ?'].concat(config.where ? [config.where] : []).join(' AND ');
+  const rows = farmLocations.communityRows(db, config.table, community, {
+    columns: config.columns,
+    where,
+    params: [sqliteTime(Math.min(firstDay, firstWeek) - 2 * WEEK_MS), sqliteTime(endMs)]
+  });
+  const entries = rows.map(row => ({
+    ms: Date.parse(row.created_at.replace(' ', 'T') + 'Z'),
+    level: config.levelOf(row),
+    username: row.username,
+    row
+  }));
+
+  const daily = [];
+  for (let start = firstDay; start < endMs; start += DAY_MS) {
+    daily.push(bucketSummary(entries, config, aggregation, start, start + DAY_MS));
+  }
+  const weekly = [];
+  for (let start = firstWeek; start < endMs; start += WEEK_MS) {
+    // The last week stops at the end of the range
+    weekly.push(bucketSummary(entries, config, aggregation, start, Math.min(start + WEEK_MS, endMs)));
+  }
+
+  return {
+    kind,
+    levels: config.levels,
+    from: dateString(firstDay),
+    to: dateString(endMs - DAY_MS),
+    farmState: aggregation.farmState,
+    weighting: aggregation.weighting,
+    daily,
+    weekly,
+    latest: weekOverWeek(entries, Math.min(endMs, Date.now()))
+  };
+}
+
 module.exports = {
+  SERIES_KINDS,
+  aggregationOptions,
+  farmStates,
+  weightedMean,
+  latestPerFarm,
+  mannWhitney,
   computeCommunityPestTrend,
-  computeCommunityHeatStressTrend
+  computeCommunityHeatStressTrend,
+  computeCommunityTrendSeries
 };
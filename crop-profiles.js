@@ -0,0 +1,88 @@
+// Crop heat stress profiles
+// Each crop in crop-profiles.json (or the file in CROP_PROFILES_FILE) lists its growth stages
+// by days after planting. A stage gives the heat index, soil temperature and soil moisture
+// ranges over which stress goes from none to full (see SCORE_PARTS in heat-indices.js), its
+// FAO-56 crop coefficient and root depth for irrigation (irrigation.js), and a note on what
+// heat does to the crop at that stage.
+
+const fs = require('fs');
+const path = require('path');
+const heatIndices = require('./heat-indices');
+
+const PROFILES_FILE = process.env.CROP_PROFILES_FILE || path.join(__dirname, 'crop-profiles.json');
+const RANGE_KEYS = ['heatIndex', 'vapourPressureDeficit', 'soilTemperature', 'soilMoisture'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function validRange(range) {
+  return Array.isArray(range) && range.length === 2 && range.every(Number.isFinite) && range[0] !== range[1];
+}
+
+// Valid crop profiles by key. The file is read again each time, so a changed stage range
+// applies from the farm's next reading on; a broken profile is skipped, not the whole file.
+function loadCropProfiles() {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+  } catch (err) {
+    console.error('Error reading crop profiles:', err);
+    return {};
+  }
+
+  const profiles = {};
+  for (const [key, entry] of Object.entries(raw)) {
+    const stages = Array.isArray(entry.stages) ? entry.stages : [];
+    const valid = stages.length > 0 && stages.every((stage, index) => {
+      const last = index === stages.length - 1;
+      const untilOk = last ? stage.untilDay === undefined || stage.untilDay > 0 : stage.untilDay > (index ? stages[index - 1].untilDay : 0);
+      const positive = ['cropCoefficient', 'rootDepthCm'].every(field => stage[field] === undefined || stage[field] > 0);
+      return stage.key && untilOk && positive && RANGE_KEYS.every(rangeKey => stage[rangeKey] === undefined || validRange(stage[rangeKey]));
+    });
+    if (!valid) {
+      console.error('Skipping invalid crop profile:', key);
+      continue;
+    }
+    profiles[key] = { key, name: entry.name || key, stages };
+  }
+  return profiles;
+}
+
+// Growth stage of a crop planted on plantingDate ('YYYY-MM-DD') at referenceMs.
+// Returns null before planting; the last stage lasts until the crop is removed.
+function growthStage(profile, plantingDate, referenceMs = Date.now()) {
+  const daysAfterPlanting = Math.floor((referenceMs - Date.parse(`${plantingDate}T00:00:00Z`)) / DAY_MS);
+  if (!(daysAfterPlanting >= 0)) return null;
+  const stage = profile.stages.find(entry => entry.untilDay !== undefined && daysAfterPlanting < entry.untilDay) ||
+    profile.stages[profile.stages.length - 1];
+  return { stage, daysAfterPlanting };
+}
+
+// The score ranges a stage overrides
+function stageRanges(stage) {
+  const ranges = {};
+  RANGE_KEYS.forEach(key => {
+    if (stage[key]) ranges[key] = stage[key];
+  });
+  return ranges;
+}
+
+// Heat stress of one reading for each of the farm's crops (db rows with crop_key and planting_date).
+// Crops not planted yet or missing from the library are left out.
+function evaluateCrops(crops, reading, profiles = loadCropProfiles(), referenceMs = Date.now()) {
+  return crops.map(crop => {
+    const profile = profiles[crop.crop_key];
+    if (!profile) return null;
+    const current = growthStage(profile, crop.planting_date, referenceMs);
+    if (!current) return null;
+    const stress = heatIndices.computeHeatStress(
+      reading.air_temperature, reading.soil_temperature, reading.soil_moisture, reading.relative_humidity, stageRanges(current.stage)
+    );
+    return { crop, profile, stage: current.stage, daysAfterPlanting: current.daysAfterPlanting, stress };
+  }).filter(Boolean);
+}
+
+module.exports = {
+  loadCropProfiles,
+  growthStage,
+  stageRanges,
+  evaluateCrops
+};
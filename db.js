@@ -1,5 +1,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const heatIndices = require('./heat-indices');
+const microclimateQuality = require('./microclimate-quality');
+const farmLocations = require('./farm-locations');
 
 // Create or connect to local SQLite database
 const dbPath = path.join(__dirname, 'auth.db');
@@ -7,6 +10,15 @@ const db = new Database(dbPath);
 
 console.log('Connected to local SQLite database:', dbPath);
 
+// Add a column to a table created by an older version of the app
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+  }
+}
+
 // Initialize database tables
 function initDatabase() {
   try {
@@ -28,9 +40,19 @@ function initDatabase() {
         real_name TEXT,
         farm_size REAL,
         country TEXT,
+        latitude REAL,
+        longitude REAL,
+        geohash TEXT,
+        area_id TEXT,
+        location_source TEXT,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    ensureColumn('profiles', 'latitude', 'REAL');
+    ensureColumn('profiles', 'longitude', 'REAL');
+    ensureColumn('profiles', 'geohash', 'TEXT');
+    ensureColumn('profiles', 'area_id', 'TEXT');
+    ensureColumn('profiles', 'location_source', 'TEXT');
 
     console.log('Profiles table ready');
 
@@ -40,19 +62,174 @@ function initDatabase() {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         username TEXT NOT NULL,
         area_id TEXT NOT NULL,
+        trap_id INTEGER,
         file_path TEXT NOT NULL,
+        overlay_path TEXT,
         width INTEGER,
         height INTEGER,
         dark_pixel_ratio REAL,
         estimated_pest_count INTEGER,
+        raw_blob_count INTEGER,
+        class_counts_json TEXT,
+        catch_points_json TEXT,
+        new_catch_count INTEGER,
+        catch_interval_days REAL,
+        corrected_count INTEGER,
+        corrected_at TEXT,
         pest_amount TEXT,
         analysis_json TEXT,
+        analysis_version INTEGER,
+        reprocessed_at TEXT,
+        quality_flags_json TEXT,
+        gps_latitude REAL,
+        gps_longitude REAL,
+        uploaded_at TEXT,
         created_at TEXT NOT NULL DEFAULT (datetime('now'))
       )
     `);
+    ensureColumn('images', 'raw_blob_count', 'INTEGER');
+    ensureColumn('images', 'class_counts_json', 'TEXT');
+    ensureColumn('images', 'overlay_path', 'TEXT');
+    ensureColumn('images', 'trap_id', 'INTEGER');
+    ensureColumn('images', 'catch_points_json', 'TEXT');
+    ensureColumn('images', 'new_catch_count', 'INTEGER');
+    ensureColumn('images', 'catch_interval_days', 'REAL');
+    ensureColumn('images', 'corrected_count', 'INTEGER');
+    ensureColumn('images', 'corrected_at', 'TEXT');
+    ensureColumn('images', 'quality_flags_json', 'TEXT');
+    ensureColumn('images', 'gps_latitude', 'REAL');
+    ensureColumn('images', 'gps_longitude', 'REAL');
+    ensureColumn('images', 'uploaded_at', 'TEXT');
+    ensureColumn('images', 'analysis_version', 'INTEGER');
+    ensureColumn('images', 'reprocessed_at', 'TEXT');
 
     console.log('Images table ready');
 
+    // Named sticky traps, so consecutive photos of the same trap can be compared
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS traps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        UNIQUE (username, name)
+      )
+    `);
+
+    console.log('Traps table ready');
+
+    // Crops grown on each farm; the planting date gives the growth stage for heat stress
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS crops (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        area_id TEXT NOT NULL,
+        crop_key TEXT NOT NULL,
+        planting_date TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+
+    console.log('Crops table ready');
+
+    // Advice rules (advice-rules.js); seeded from advice-rules.json on first run
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS advice_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        topic TEXT NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 0,
+        conditions_json TEXT NOT NULL,
+        actions_json TEXT NOT NULL,
+        stop INTEGER NOT NULL DEFAULT 0,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        updated_by TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+    if (db.prepare('SELECT COUNT(*) as count FROM advice_rules').get().count === 0) {
+      const insertRule = db.prepare(`INSERT INTO advice_rules (name, topic, priority, conditions_json, actions_json, stop)
+                                     VALUES (?, ?, ?, ?, ?, ?)`);
+      const defaults = require('./advice-rules.json');
+      db.transaction(() => {
+        defaults.forEach(rule => {
+          insertRule.run(rule.name, rule.topic, rule.priority || 0, JSON.stringify(rule.conditions || {}), JSON.stringify(rule.actions), rule.stop ? 1 : 0);
+        });
+      })();
+      console.log(`Seeded ${defaults.length} advice rules`);
+    }
+
+    console.log('Advice rules table ready');
+
+    // Manual count corrections (audit trail; images keeps the analyzer's original estimate)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS count_corrections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        image_id INTEGER NOT NULL,
+        username TEXT NOT NULL,
+        estimated_count INTEGER,
+        previous_count INTEGER,
+        previous_pest_amount TEXT,
+        corrected_count INTEGER NOT NULL,
+        note TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+
+    // Per-user analyzer parameters fitted to their corrections
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS analysis_calibration (
+        username TEXT PRIMARY KEY NOT NULL,
+        threshold_offset INTEGER NOT NULL DEFAULT 0,
+        min_blob_size INTEGER NOT NULL DEFAULT 10,
+        samples INTEGER NOT NULL DEFAULT 0,
+        mean_abs_error REAL,
+        default_abs_error REAL,
+        updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+
+    // Pending calibrations, run by the upload worker (calibration.js)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS calibration_requests (
+        username TEXT PRIMARY KEY NOT NULL,
+        requested_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+
+    console.log('Count corrections and calibration tables ready');
+
+    // Batch upload jobs, worked through in the background (see upload-worker.js)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS upload_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        area_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        total_items INTEGER NOT NULL DEFAULT 0,
+        forecast_json TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        finished_at TEXT
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS upload_job_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        original_name TEXT,
+        file_path TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        image_id INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        finished_at TEXT
+      )
+    `);
+
+    console.log('Upload job tables ready');
+
     // Create forecasts table
     db.exec(`
       CREATE TABLE IF NOT EXISTS forecasts (
@@ -63,9 +240,34 @@ function initDatabase() {
         risk_score REAL NOT NULL,
         risk_level TEXT NOT NULL,
         details_json TEXT,
+        regenerated_at TEXT,
+        model_name TEXT,
+        model_version INTEGER,
         created_at TEXT NOT NULL DEFAULT (datetime('now'))
       )
     `);
+    ensureColumn('forecasts', 'regenerated_at', 'TEXT');
+    ensureColumn('forecasts', 'model_name', 'TEXT');
+    ensureColumn('forecasts', 'model_version', 'INTEGER');
+
+    // Forecasts stored before the model registry all came from the trap-trend model
+    const unversioned = db.prepare(`UPDATE forecasts SET model_name = 'trap-trend', model_version = 1 WHERE model_name IS NULL`).run();
+    if (unversioned.changes > 0) {
+      console.log(`Recorded the model of ${unversioned.changes} older forecasts`);
+    }
+
+    // Forecast model chosen for an area (forecast-models.js); areas without one use the deployment's
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS forecast_model_settings (
+        area_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        model_name TEXT NOT NULL,
+        model_version INTEGER,
+        updated_by TEXT,
+        updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (area_id, kind)
+      )
+    `);
 
     console.log('Forecasts table ready');
 
@@ -80,9 +282,57 @@ CREATE TABLE IF NOT EXISTS microclimate_data (
   soil_moisture REAL NOT NULL,
   relative_humidity REAL NOT NULL,
   heat_stress_level TEXT NOT NULL,
+  heat_stress_score REAL,
+  heat_index REAL,
+  dew_point REAL,
+  vapour_pressure_deficit REAL,
+  quality_flags_json TEXT,
+  flagged INTEGER NOT NULL DEFAULT 0,
   created_at TEXT NOT NULL DEFAULT (datetime('now'))
 )
 `);
+    ensureColumn('microclimate_data', 'heat_stress_score', 'REAL');
+    ensureColumn('microclimate_data', 'heat_index', 'REAL');
+    ensureColumn('microclimate_data', 'dew_point', 'REAL');
+    ensureColumn('microclimate_data', 'vapour_pressure_deficit', 'REAL');
+
+    ensureColumn('microclimate_data', 'quality_flags_json', 'TEXT');
+    ensureColumn('microclimate_data', 'flagged', 'INTEGER NOT NULL DEFAULT 0');
+
+    // Range-check readings saved before quality checks (the history-based checks only apply to new ones)
+    const unchecked = db.prepare(`SELECT id, air_temperature, soil_temperature, soil_moisture, relative_humidity
+                                  FROM microclimate_data WHERE quality_flags_json IS NULL`).all();
+    if (unchecked.length > 0) {
+      const updateFlags = db.prepare('UPDATE microclimate_data SET quality_flags_json = ?, flagged = ? WHERE id = ?');
+      // A flagged reading isn't scored (see /api/submit-microclimate)
+      const clearScore = db.prepare(`UPDATE microclimate_data SET heat_stress_level = 'unknown', heat_stress_score = NULL, heat_index = NULL,
+                                       dew_point = NULL, vapour_pressure_deficit = NULL WHERE id = ?`);
+      let flaggedCount = 0;
+      db.transaction(() => {
+        unchecked.forEach(row => {
+          const flags = microclimateQuality.rangeFlags(row);
+          if (flags.length) flaggedCount++;
+          updateFlags.run(JSON.stringify(flags), flags.length ? 1 : 0, row.id);
+          if (flags.length) clearScore.run(row.id);
+        });
+      })();
+      console.log(`Range-checked ${unchecked.length} microclimate readings, ${flaggedCount} flagged`);
+    }
+
+    // Score readings saved before the continuous indices; their level follows the score
+    const unscored = db.prepare(`SELECT id, air_temperature, soil_temperature, soil_moisture, relative_humidity
+                                 FROM microclimate_data WHERE heat_stress_score IS NULL AND flagged = 0`).all();
+    if (unscored.length > 0) {
+      const updateScore = db.prepare(`UPDATE microclimate_data SET heat_stress_score = ?, heat_stress_level = ?, heat_index = ?, dew_point = ?, vapour_pressure_deficit = ?
+                                      WHERE id = ?`);
+      db.transaction(() => {
+        unscored.forEach(row => {
+          const stress = heatIndices.computeHeatStress(row.air_temperature, row.soil_temperature, row.soil_moisture, row.relative_humidity);
+          updateScore.run(stress.score, stress.level, stress.indices.heatIndex, stress.indices.dewPoint, stress.indices.vapourPressureDeficit, row.id);
+        });
+      })();
+      console.log(`Scored heat stress of ${unscored.length} microclimate readings`);
+    }
 
 // Social feed posts table
 db.exec(`
@@ -116,6 +366,52 @@ CREATE TABLE IF NOT EXISTS social_comments (
     console.log('Social posts table ready');
     console.log('Social comments table ready');
 
+    // Farm areas (farm-locations.js): give farms without coordinates their country's centroid and
+    // move each farm's rows from its old area (its country, or the cell at another precision)
+    const unplaced = db.prepare(`SELECT username, latitude, longitude, country, area_id, location_source FROM profiles
+                                 WHERE area_id IS NULL OR length(area_id) != ?`).all(farmLocations.AREA_GEOHASH_PRECISION);
+    if (unplaced.length > 0) {
+      const updateLocation = db.prepare(`UPDATE profiles SET latitude = ?, longitude = ?, geohash = ?, area_id = ?, location_source = ?
+                                         WHERE username = ?`);
+      let placed = 0;
+      let movedRows = 0;
+      db.transaction(() => {
+        unplaced.forEach(profile => {
+          const location = farmLocations.resolveLocation(profile.latitude, profile.longitude, profile.country);
+          if (!location) return;
+          updateLocation.run(location.latitude, location.longitude, location.geohash, location.areaId,
+            profile.location_source || location.source, profile.username);
+          movedRows += farmLocations.moveFarmData(db, profile.username, profile.area_id || profile.country, location.areaId);
+          placed++;
+        });
+      })();
+      console.log(`Placed ${placed} farms in geohash areas, ${movedRows} rows moved from their old areas`);
+    }
+
+    // Community outbreak alerts (outbreak-alerts.js): a significant rise across several farms of an area
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS outbreak_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        area_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        severity TEXT NOT NULL,
+        affected_farms_json TEXT NOT NULL,
+        baseline_level REAL,
+        current_level REAL,
+        peak_level REAL,
+        p_value REAL,
+        center_latitude REAL,
+        center_longitude REAL,
+        started_at TEXT NOT NULL DEFAULT (datetime('now')),
+        checked_at TEXT NOT NULL DEFAULT (datetime('now')),
+        resolved_at TEXT,
+        resolution TEXT
+      )
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_outbreak_alerts_area ON outbreak_alerts (area_id, kind, status)');
+    console.log('Outbreak alerts table ready');
+
     // Verify table structure
     const usersInfo = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='users'").get();
     const profilesInfo = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='profiles'").get();
@@ -138,47 +434,149 @@ const preparedQueries = {
   getUserData: db.prepare('SELECT username, created_at FROM users WHERE username = ?'),
   createProfile: db.prepare(`INSERT INTO profiles (username, real_name, farm_size, country) 
                              VALUES (?, ?, ?, ?)`),
-  updateProfile: db.prepare(`INSERT OR REPLACE INTO profiles (username, real_name, farm_size, country, updated_at) 
-                             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`),
-  getProfile: db.prepare('SELECT real_name as realName, farm_size as farmSize, country FROM profiles WHERE username = ?'),
+  updateProfile: db.prepare(`INSERT OR REPLACE INTO profiles (username, real_name, farm_size, country, latitude, longitude, geohash, area_id, location_source, updated_at) 
+                             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`),
+  getProfile: db.prepare(`SELECT real_name as realName, farm_size as farmSize, country, latitude, longitude, geohash, area_id as areaId,
+                                 location_source as locationSource
+                          FROM profiles WHERE username = ?`),
   
   // persisted_snippet_analysis
-  insertImage: db.prepare(`INSERT INTO images (username, area_id, file_path, width, height, dark_pixel_ratio, estimated_pest_count, pest_amount, analysis_json)
-                           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+  // created_at is the photo's capture time when the EXIF has one, otherwise the upload time
+  insertImage: db.prepare(`INSERT INTO images (username, area_id, trap_id, file_path, overlay_path, width, height, dark_pixel_ratio, estimated_pest_count, raw_blob_count,
+                                               class_counts_json, catch_points_json, new_catch_count, catch_interval_days, pest_amount, analysis_json, analysis_version,
+                                               quality_flags_json, gps_latitude, gps_longitude, uploaded_at, created_at)
+                           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), COALESCE(?, datetime('now')))`),
   getUserImages: db.prepare('SELECT * FROM images WHERE username = ? ORDER BY id DESC LIMIT ?'),
   getUserImagesByArea: db.prepare('SELECT * FROM images WHERE username = ? AND area_id = ? ORDER BY id DESC LIMIT ?'),
-  insertForecast: db.prepare(`INSERT INTO forecasts (username, area_id, horizon_minutes, risk_score, risk_level, details_json)
-                              VALUES (?, ?, ?, ?, ?, ?)`),
+  getUserImage: db.prepare('SELECT * FROM images WHERE id = ? AND username = ?'),
+  correctImageCount: db.prepare(`UPDATE images SET corrected_count = ?, corrected_at = datetime('now'), pest_amount = ?
+                                 WHERE id = ? AND username = ?`),
+  insertCountCorrection: db.prepare(`INSERT INTO count_corrections (image_id, username, estimated_count, previous_count, previous_pest_amount, corrected_count, note)
+                                     VALUES (?, ?, ?, ?, ?, ?, ?)`),
+  getCorrectedImages: db.prepare(`SELECT id, file_path, estimated_pest_count, corrected_count FROM images
+                                  WHERE username = ? AND corrected_count IS NOT NULL
+                                  ORDER BY corrected_at DESC LIMIT ?`),
+  getCalibration: db.prepare('SELECT * FROM analysis_calibration WHERE username = ?'),
+  upsertCalibration: db.prepare(`INSERT OR REPLACE INTO analysis_calibration (username, threshold_offset, min_blob_size, samples, mean_abs_error, default_abs_error, updated_at)
+                                 VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`),
+  requestCalibration: db.prepare("INSERT OR REPLACE INTO calibration_requests (username, requested_at) VALUES (?, datetime('now'))"),
+  getDueCalibrationRequest: db.prepare(`SELECT * FROM calibration_requests WHERE requested_at <= datetime('now', ?)
+                                        ORDER BY requested_at LIMIT 1`),
+  deleteCalibrationRequest: db.prepare('DELETE FROM calibration_requests WHERE username = ? AND requested_at = ?'),
+  // Latest photo of the trap taken before the given time (photos may be uploaded out of order)
+  getLatestTrapImage: db.prepare(`SELECT id, estimated_pest_count, corrected_count, catch_points_json, analysis_json, created_at
+                                  FROM images WHERE trap_id = ? AND created_at <= ? ORDER BY created_at DESC, id DESC LIMIT 1`),
+  // The trap's photos just before and after a stored one (trap_id, created_at, created_at, id)
+  getPreviousTrapImage: db.prepare(`SELECT id, trap_id, estimated_pest_count, corrected_count, catch_points_json, analysis_json, created_at
+                                    FROM images WHERE trap_id = ? AND (created_at < ? OR (created_at = ? AND id < ?))
+                                    ORDER BY created_at DESC, id DESC LIMIT 1`),
+  getNextTrapImage: db.prepare(`SELECT id, trap_id, estimated_pest_count, corrected_count, catch_points_json, analysis_json, created_at
+                                FROM images WHERE trap_id = ? AND (created_at > ? OR (created_at = ? AND id > ?))
+                                ORDER BY created_at ASC, id ASC LIMIT 1`),
+  updateImageNewCatch: db.prepare('UPDATE images SET new_catch_count = ?, catch_interval_days = ?, analysis_json = ? WHERE id = ?'),
+  // Reprocessing: oldest first so each trap photo is compared with the one before it
+  getImagesForReprocessing: db.prepare('SELECT * FROM images ORDER BY created_at ASC, id ASC'),
+  updateImageAnalysis: db.prepare(`UPDATE images SET overlay_path = ?, width = ?, height = ?, dark_pixel_ratio = ?, estimated_pest_count = ?, raw_blob_count = ?,
+                                                     class_counts_json = ?, catch_points_json = ?, new_catch_count = ?, catch_interval_days = ?, pest_amount = ?,
+                                                     analysis_json = ?, analysis_version = ?, reprocessed_at = datetime('now')
+                                   WHERE id = ?`),
+  getForecastHistory: db.prepare(`SELECT id, horizon_minutes, risk_score, risk_level, model_name, model_version, created_at FROM forecasts
+                                  WHERE username = ? AND area_id = ? AND created_at >= ?
+                                  ORDER BY created_at ASC, id ASC`),
+  getAreaImagesSince: db.prepare(`SELECT id, dark_pixel_ratio, estimated_pest_count, corrected_count, class_counts_json, new_catch_count, catch_interval_days, created_at
+                                  FROM images WHERE username = ? AND area_id = ? AND created_at >= ?
+                                  ORDER BY created_at ASC`),
+  getAreaForecasts: db.prepare(`SELECT id, horizon_minutes, risk_score, risk_level, model_name, model_version, created_at FROM forecasts
+                                WHERE username = ? AND area_id = ? ORDER BY id ASC`),
+  updateForecast: db.prepare(`UPDATE forecasts SET risk_score = ?, risk_level = ?, details_json = ?, regenerated_at = datetime('now')
+                              WHERE id = ?`),
+  insertForecast: db.prepare(`INSERT INTO forecasts (username, area_id, horizon_minutes, risk_score, risk_level, details_json, model_name, model_version)
+                              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
+
+  // Forecast model settings
+  getForecastModelSetting: db.prepare('SELECT * FROM forecast_model_settings WHERE area_id = ? AND kind = ?'),
+  getForecastModelSettings: db.prepare('SELECT * FROM forecast_model_settings ORDER BY area_id, kind'),
+  upsertForecastModelSetting: db.prepare(`INSERT OR REPLACE INTO forecast_model_settings (area_id, kind, model_name, model_version, updated_by, updated_at)
+                                          VALUES (?, ?, ?, ?, ?, datetime('now'))`),
+  deleteForecastModelSetting: db.prepare('DELETE FROM forecast_model_settings WHERE area_id = ? AND kind = ?'),
+
+  // Outbreak alerts
+  getFarmAreaIds: db.prepare('SELECT DISTINCT area_id FROM profiles WHERE area_id IS NOT NULL AND geohash IS NOT NULL'),
+  getActiveOutbreakAlert: db.prepare("SELECT * FROM outbreak_alerts WHERE area_id = ? AND kind = ? AND status = 'active'"),
+  getActiveOutbreakAlerts: db.prepare("SELECT * FROM outbreak_alerts WHERE status = 'active' ORDER BY started_at DESC, id DESC"),
+  getOutbreakAlertsSince: db.prepare("SELECT * FROM outbreak_alerts WHERE started_at >= ? OR status = 'active' ORDER BY started_at DESC, id DESC"),
+  insertOutbreakAlert: db.prepare(`INSERT INTO outbreak_alerts (area_id, kind, severity, affected_farms_json, baseline_level, current_level, peak_level,
+                                                                p_value, center_latitude, center_longitude)
+                                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+  updateOutbreakAlert: db.prepare(`UPDATE outbreak_alerts SET severity = ?, affected_farms_json = ?, current_level = ?, peak_level = ?, p_value = ?,
+                                                              checked_at = datetime('now')
+                                   WHERE id = ?`),
+  resolveOutbreakAlert: db.prepare(`UPDATE outbreak_alerts SET status = 'resolved', current_level = ?, resolution = ?,
+                                                               checked_at = datetime('now'), resolved_at = datetime('now')
+                                    WHERE id = ?`),
   
-  insertMicroclimate: db.prepare(`INSERT INTO microclimate_data (username, area_id, air_temperature, soil_temperature, soil_moisture, relative_humidity, heat_stress_level)
-                                 VALUES (?, ?, ?, ?, ?, ?, ?)`),
+  insertMicroclimate: db.prepare(`INSERT INTO microclimate_data (username, area_id, air_temperature, soil_temperature, soil_moisture, relative_humidity, heat_stress_level,
+                                   heat_stress_score, heat_index, dew_point, vapour_pressure_deficit, quality_flags_json, flagged)
+                                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`),
   getUserMicroclimate: db.prepare('SELECT * FROM microclimate_data WHERE username = ? ORDER BY id DESC LIMIT ?'),
   getUserMicroclimateByArea: db.prepare('SELECT * FROM microclimate_data WHERE username = ? AND area_id = ? ORDER BY id DESC LIMIT ?'),
-  getRecentMicroclimateForForecast: db.prepare(`SELECT id, air_temperature, soil_temperature, soil_moisture, relative_humidity, heat_stress_level
+  getRecentMicroclimateForForecast: db.prepare(`SELECT id, air_temperature, soil_temperature, soil_moisture, relative_humidity, heat_stress_level, heat_stress_score, created_at
                                                 FROM microclimate_data
-                                                WHERE username = ? AND area_id = ?
+                                                WHERE username = ? AND area_id = ? AND flagged = 0
                                                 ORDER BY id DESC LIMIT 10`),
+  // Quality checks (microclimate-quality.js): the farm's own history and other farms in the area, newest first
+  getRecentFarmMicroclimate: db.prepare(`SELECT air_temperature, soil_temperature, soil_moisture, relative_humidity, flagged, created_at
+                                         FROM microclimate_data
+                                         WHERE username = ? AND area_id = ? AND created_at >= ?
+                                         ORDER BY created_at DESC, id DESC`),
+  getRecentAreaMicroclimate: db.prepare(`SELECT username, air_temperature, relative_humidity
+                                         FROM microclimate_data
+                                         WHERE area_id = ? AND username != ? AND created_at >= ? AND flagged = 0`),
   
-  // Community-wide aggregation queries
-  getCommunityPestData: db.prepare(`SELECT username, dark_pixel_ratio, estimated_pest_count, pest_amount, created_at
-                                   FROM images
-                                   WHERE area_id = ?
-                                   ORDER BY created_at DESC LIMIT 100`),
-  getCommunityPestDataRecent: db.prepare(`SELECT username, dark_pixel_ratio, estimated_pest_count, pest_amount, created_at
-                                           FROM images
-                                           WHERE area_id = ?
-                                           ORDER BY created_at DESC LIMIT 50`),
-  getCommunityMicroclimateData: db.prepare(`SELECT username, air_temperature, soil_temperature, soil_moisture, relative_humidity, heat_stress_level, created_at
-                                            FROM microclimate_data
-                                            WHERE area_id = ?
-                                            ORDER BY created_at DESC LIMIT 100`),
-  getCommunityMicroclimateDataRecent: db.prepare(`SELECT username, air_temperature, soil_temperature, soil_moisture, relative_humidity, heat_stress_level, created_at
-                                                  FROM microclimate_data
-                                                  WHERE area_id = ?
-                                                  ORDER BY created_at DESC LIMIT 50`),
-  getCommunityUserCount: db.prepare(`SELECT COUNT(DISTINCT username) as user_count FROM images WHERE area_id = ?`),
-  getCommunityUserCountMicroclimate: db.prepare(`SELECT COUNT(DISTINCT username) as user_count FROM microclimate_data WHERE area_id = ?`),
-  
+  // Batch upload jobs
+  createUploadJob: db.prepare('INSERT INTO upload_jobs (username, area_id, total_items) VALUES (?, ?, ?)'),
+  insertUploadJobItem: db.prepare('INSERT INTO upload_job_items (job_id, original_name, file_path) VALUES (?, ?, ?)'),
+  getUploadJob: db.prepare('SELECT * FROM upload_jobs WHERE id = ? AND username = ?'),
+  getUserUploadJobs: db.prepare('SELECT * FROM upload_jobs WHERE username = ? ORDER BY id DESC LIMIT ?'),
+  getUploadJobItems: db.prepare(`SELECT it.*, i.pest_amount, i.estimated_pest_count
+                                 FROM upload_job_items it LEFT JOIN images i ON i.id = it.image_id
+                                 WHERE it.job_id = ? ORDER BY it.id`),
+  getUploadJobItemCounts: db.prepare('SELECT status, COUNT(*) as count FROM upload_job_items WHERE job_id = ? GROUP BY status'),
+  getNextQueuedJobItem: db.prepare(`SELECT it.*, j.username, j.area_id FROM upload_job_items it
+                                    JOIN upload_jobs j ON j.id = it.job_id
+                                    WHERE it.status = 'queued' ORDER BY it.id LIMIT 1`),
+  setUploadJobStatus: db.prepare('UPDATE upload_jobs SET status = ? WHERE id = ?'),
+  finishUploadJob: db.prepare(`UPDATE upload_jobs SET status = ?, forecast_json = ?, finished_at = datetime('now') WHERE id = ?`),
+  setJobItemProcessing: db.prepare(`UPDATE upload_job_items SET status = 'processing' WHERE id = ?`),
+  setJobItemDone: db.prepare(`UPDATE upload_job_items SET status = 'done', image_id = ?, finished_at = datetime('now') WHERE id = ?`),
+  setJobItemFailed: db.prepare(`UPDATE upload_job_items SET status = 'failed', error = ?, finished_at = datetime('now') WHERE id = ?`),
+  requeueInterruptedJobItems: db.prepare(`UPDATE upload_job_items SET status = 'queued' WHERE status = 'processing'`),
+
+  // Sticky traps
+  createTrap: db.prepare('INSERT INTO traps (username, name) VALUES (?, ?)'),
+  getTrap: db.prepare('SELECT * FROM traps WHERE id = ? AND username = ?'),
+  getUserTraps: db.prepare(`SELECT t.id, t.name, t.created_at, COUNT(i.id) as photo_count, MAX(i.created_at) as last_photo_at
+                            FROM traps t LEFT JOIN images i ON i.trap_id = t.id
+                            WHERE t.username = ?
+                            GROUP BY t.id ORDER BY t.name`),
+
+  // Crops
+  createCrop: db.prepare('INSERT INTO crops (username, area_id, crop_key, planting_date) VALUES (?, ?, ?, ?)'),
+  getUserCrops: db.prepare('SELECT * FROM crops WHERE username = ? ORDER BY planting_date DESC, id DESC'),
+  getUserCropsByArea: db.prepare('SELECT * FROM crops WHERE username = ? AND area_id = ? ORDER BY planting_date DESC, id DESC'),
+  deleteCrop: db.prepare('DELETE FROM crops WHERE id = ? AND username = ?'),
+
+  // Advice rules
+  getAdviceRules: db.prepare('SELECT * FROM advice_rules ORDER BY topic, priority DESC, id'),
+  getEnabledAdviceRules: db.prepare('SELECT * FROM advice_rules WHERE topic = ? AND enabled = 1 ORDER BY priority DESC, id'),
+  getAdviceRule: db.prepare('SELECT * FROM advice_rules WHERE id = ?'),
+  createAdviceRule: db.prepare(`INSERT INTO advice_rules (name, topic, priority, conditions_json, actions_json, stop, enabled, updated_by)
+                                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
+  updateAdviceRule: db.prepare(`UPDATE advice_rules SET name = ?, topic = ?, priority = ?, conditions_json = ?, actions_json = ?, stop = ?, enabled = ?,
+                                                        updated_by = ?, updated_at = datetime('now')
+                                WHERE id = ?`),
+  deleteAdviceRule: db.prepare('DELETE FROM advice_rules WHERE id = ?'),
+
   // Social feed queries
   insertSocialPost: db.prepare(`INSERT INTO social_posts (username, real_name, area_id, post_type, forecast_level, forecast_description, snapshot_data, post_text)
                                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
@@ -0,0 +1,257 @@
+// Degree-day pest development model
+// Insects develop with accumulated heat, not calendar days. Daily degree-days come from the
+// farm's submitted air temperatures (single sine method with horizontal cutoffs) and are
+// summed per species from a biofix; every generationDegreeDays a new generation emerges.
+// Species thresholds live in pest-species.json (or the file in PEST_SPECIES_FILE), along with
+// each species' climate suitability ranges for pest-climate.js.
+
+const fs = require('fs');
+const path = require('path');
+
+const SPECIES_FILE = process.env.PEST_SPECIES_FILE || path.join(__dirname, 'pest-species.json');
+const WINDOW_DAYS = 120; // temperature history used
+const RATE_DAYS = 7; // recent days averaged for the degree-day rate going forward
+const MAX_GAP_DAYS = 14; // a longer gap without readings restarts the accumulation
+const PEAK_FULL_DAYS = 2; // a generation peak counts fully within +-2 days
+const PEAK_FADE_DAYS = 7; // and fades out by +-7 days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Climate suitability ranges: [limit low, optimum low, optimum high, limit high] per factor
+function validClimate(climate) {
+  if (!climate) return false;
+  return ['temperature', 'humidity'].every(factor => {
+    const range = climate[factor];
+    return Array.isArray(range) && range.length === 4 && range.every(Number.isFinite) &&
+      range.every((value, index) => index === 0 || value >= range[index - 1]) && range[0] < range[3];
+  });
+}
+
+// Read on every call so edits to the file apply without a restart
+function loadSpeciesConfig() {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(SPECIES_FILE, 'utf8'));
+  } catch (err) {
+    console.error('Error reading pest species config:', err);
+    return {};
+  }
+
+  const species = {};
+  for (const [key, entry] of Object.entries(raw)) {
+    const base = Number(entry.baseTemperature);
+    const upper = Number(entry.upperTemperature);
+    const generation = Number(entry.generationDegreeDays);
+    if (!Number.isFinite(base) || !Number.isFinite(upper) || upper <= base || !(generation > 0)) {
+      console.error('Skipping invalid pest species config:', key);
+      continue;
+    }
+    species[key] = {
+      name: entry.name || key,
+      baseTemperature: base,
+      upperTemperature: upper,
+      generationDegreeDays: generation,
+      climate: validClimate(entry.climate) ? entry.climate : null // used by pest-climate.js
+    };
+  }
+  return species;
+}
+
+// Degree-days for one day from its min/max temperature: single sine curve through the
+// day, counting only the part between the base and upper thresholds
+function singleSineDegreeDays(tMin, tMax, base, upper) {
+  if (tMax <= base) return 0;
+  if (tMin >= upper) return upper - base;
+
+  const mean = (tMax + tMin) / 2;
+  const amplitude = (tMax - tMin) / 2;
+  if (tMin >= base && tMax <= upper) return mean - base;
+
+  const theta1 = tMin < base ? Math.asin((base - mean) / amplitude) : -Math.PI / 2;
+  const theta2 = tMax > upper ? Math.asin((upper - mean) / amplitude) : Math.PI / 2;
+  return ((mean - base) * (theta2 - theta1) +
+    amplitude * (Math.cos(theta1) - Math.cos(theta2)) +
+    (upper - base) * (Math.PI / 2 - theta2)) / Math.PI;
+}
+
+// 'YYYY-MM-DD...' -> days since epoch (UTC)
+function dayNumber(value) {
+  return Math.floor(Date.parse(String(value).slice(0, 10) + 'T00:00:00Z') / DAY_MS);
+}
+
+function dayString(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function accumulateSpecies(key, config, daily, dataDays, today, biofix) {
+  const lastDataDay = dataDays[dataDays.length - 1];
+  let start = dataDays[0];
+  let biofixSource = 'temperature_record';
+  // A biofix before the first reading can't be accumulated from; the record start is used instead
+  if (biofix.day !== null && biofix.day >= start) {
+    start = biofix.day;
+    biofixSource = biofix.source;
+  }
+
+  let accumulated = 0;
+  let estimatedDays = 0;
+  let previousDataDay = null;
+  const recent = [];
+  for (let day = start; day <= today; day++) {
+    const temps = daily.get(day);
+    if (temps) {
+      const dd = singleSineDegreeDays(temps.min, temps.max, config.baseTemperature, config.upperTemperature);
+      accumulated += dd;
+      recent.push(dd);
+      if (recent.length > RATE_DAYS) recent.shift();
+      previousDataDay = day;
+      continue;
+    }
+
+    // A long gap in the middle of the record: what happened in between is unknown, start over
+    const nextDataDay = dataDays.find(d => d > day);
+    if (previousDataDay !== null && nextDataDay !== undefined && nextDataDay - previousDataDay > MAX_GAP_DAYS) {
+      accumulated = 0;
+      estimatedDays = 0;
+      recent.length = 0;
+      biofixSource = 'restart_after_gap';
+      start = nextDataDay;
+      day = nextDataDay - 1;
+      continue;
+    }
+    // Short gaps (and the days since the last reading) run at the recent rate
+    accumulated += mean(recent);
+    estimatedDays++;
+  }
+
+  const rate = mean(recent);
+  const generationDD = config.generationDegreeDays;
+  const intoGeneration = accumulated % generationDD;
+  const stale = today - lastDataDay > MAX_GAP_DAYS;
+  const daysToNextPeak = rate > 0 && !stale ? (generationDD - intoGeneration) / rate : null;
+  // The biofix itself is a peak when it came from a trap catch or the farmer
+  const hasPreviousPeak = accumulated >= generationDD || biofixSource === 'first_trap_catch' || biofixSource === 'user';
+
+  return {
+    species: key,
+    name: config.name,
+    baseTemperature: config.baseTemperature,
+    upperTemperature: config.upperTemperature,
+    generationDegreeDays: generationDD,
+    biofixDate: dayString(start),
+    biofixSource,
+    accumulatedDegreeDays: Number(accumulated.toFixed(1)),
+    generationsCompleted: Math.floor(accumulated / generationDD),
+    generationProgress: Number((intoGeneration / generationDD).toFixed(3)),
+    degreeDaysPerDay: Number(rate.toFixed(2)),
+    daysToNextPeak: daysToNextPeak === null ? null : Number(daysToNextPeak.toFixed(1)),
+    nextPeakDate: daysToNextPeak === null ? null : dayString(today + Math.round(daysToNextPeak)),
+    daysSinceLastPeak: hasPreviousPeak && rate > 0 && !stale ? Number((intoGeneration / rate).toFixed(1)) : null,
+    generationDays: rate > 0 ? Number((generationDD / rate).toFixed(1)) : null,
+    estimatedDays
+  };
+}
+
+// Degree-day status of every configured species for a farm (user + area).
+// options.asOf ('YYYY-MM-DD HH:MM:SS') computes it as of that time;
+// options.biofix ('YYYY-MM-DD') overrides where accumulation starts, e.g. when pests were first seen.
+function computeDegreeDays(username, areaId, db, options = {}) {
+  const referenceMs = options.asOf ? Date.parse(options.asOf.replace(' ', 'T') + 'Z') : Date.now();
+  const today = Math.floor(referenceMs / DAY_MS);
+  const since = `${dayString(today - WINDOW_DAYS)} 00:00:00`;
+  const until = new Date(referenceMs).toISOString().replace('T', ' ').slice(0, 19);
+
+  const readings = db.prepare(`SELECT air_temperature, created_at FROM microclimate_data
+                               WHERE username = ? AND area_id = ? AND created_at >= ? AND created_at <= ? AND flagged = 0
+                               ORDER BY created_at ASC`).all(username, areaId, since, until);
+  if (readings.length === 0) {
+    return { asOf: until, readings: 0, measuredDays: 0, stale: true, reason: 'no_temperature_data', species: [] };
+  }
+
+  // Daily min/max air temperature
+  const daily = new Map();
+  readings.forEach(reading => {
+    const day = dayNumber(reading.created_at);
+    const t = Number(reading.air_temperature);
+    const temps = daily.get(day);
+    if (!temps) {
+      daily.set(day, { min: t, max: t });
+    } else {
+      temps.min = Math.min(temps.min, t);
+      temps.max = Math.max(temps.max, t);
+    }
+  });
+  const dataDays = [...daily.keys()].sort((a, b) => a - b);
+
+  // Default biofix per species: its first catch on the farm's traps in the window
+  const firstCatch = {};
+  db.prepare(`SELECT class_counts_json, created_at FROM images
+              WHERE username = ? AND area_id = ? AND created_at >= ? AND created_at <= ?
+              ORDER BY created_at ASC`).all(username, areaId, since, until).forEach(row => {
+    let counts = null;
+    try {
+      counts = JSON.parse(row.class_counts_json || 'null');
+    } catch (err) {
+      counts = null;
+    }
+    if (!counts) return;
+    Object.keys(counts).forEach(key => {
+      if (counts[key] > 0 && firstCatch[key] === undefined) firstCatch[key] = dayNumber(row.created_at);
+    });
+  });
+
+  const species = Object.entries(loadSpeciesConfig()).map(([key, config]) => {
+    let biofix = { day: null, source: null };
+    if (options.biofix) biofix = { day: dayNumber(options.biofix), source: 'user' };
+    else if (firstCatch[key] !== undefined) biofix = { day: firstCatch[key], source: 'first_trap_catch' };
+    return accumulateSpecies(key, config, daily, dataDays, today, biofix);
+  });
+
+  return {
+    asOf: until,
+    readings: readings.length,
+    measuredDays: dataDays.length,
+    firstReading: readings[0].created_at,
+    lastReading: readings[readings.length - 1].created_at,
+    stale: today - dataDays[dataDays.length - 1] > MAX_GAP_DAYS,
+    species
+  };
+}
+
+// How close a generation peak is to `daysAhead` from now: 1 on the peak, 0 a week away
+function peakProximity(status, daysAhead) {
+  if (status.daysToNextPeak === null) return 0;
+  const offset = daysAhead - status.daysToNextPeak;
+  let distance;
+  if (offset <= 0) {
+    distance = -offset;
+    if (status.daysSinceLastPeak !== null) distance = Math.min(distance, daysAhead + status.daysSinceLastPeak);
+  } else {
+    const period = status.generationDays || Infinity;
+    distance = Math.abs(offset - Math.round(offset / period) * period);
+  }
+  if (distance <= PEAK_FULL_DAYS) return 1;
+  if (distance >= PEAK_FADE_DAYS) return 0;
+  return (PEAK_FADE_DAYS - distance) / (PEAK_FADE_DAYS - PEAK_FULL_DAYS);
+}
+
+// 0-1: how much of the farm's trap catch belongs to species near a generation peak
+// `daysAhead` from now. classCounts tells which species are actually on the traps.
+function emergenceRiskBoost(degreeDays, classCounts, daysAhead = 0) {
+  if (!classCounts || !degreeDays.species.length) return 0;
+  const total = degreeDays.species.reduce((sum, status) => sum + (classCounts[status.species] || 0), 0);
+  if (total === 0) return 0;
+  return degreeDays.species.reduce((sum, status) => {
+    return sum + ((classCounts[status.species] || 0) / total) * peakProximity(status, daysAhead);
+  }, 0);
+}
+
+module.exports = {
+  loadSpeciesConfig,
+  singleSineDegreeDays,
+  computeDegreeDays,
+  emergenceRiskBoost
+};
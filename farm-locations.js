@@ -0,0 +1,244 @@
+// Farm locations and communities
+// Each farm (profile) stores its coordinates. Its area ID is the geohash cell of the farm at
+// AREA_GEOHASH_PRECISION (4: about 39 x 20 km), so per-farm data is keyed by a real region.
+// Farms that only gave a country are placed at its centroid (country-centroids.json) until
+// they set their location. Community data comes from the farms within COMMUNITY_RADIUS_KM of
+// the farm (COMMUNITY_MODE=radius, the default) or in the same area cell (COMMUNITY_MODE=geohash).
+
+const path = require('path');
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const STORED_GEOHASH_PRECISION = 9; // profiles.geohash, about 5 x 5 m
+const AREA_GEOHASH_PRECISION = Math.min(8, Math.max(2, parseInt(process.env.AREA_GEOHASH_PRECISION, 10) || 4));
+const COMMUNITY_MODE = process.env.COMMUNITY_MODE === 'geohash' ? 'geohash' : 'radius';
+const DEFAULT_RADIUS_KM = Number(process.env.COMMUNITY_RADIUS_KM) > 0 ? Number(process.env.COMMUNITY_RADIUS_KM) : 50;
+const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6371;
+const RADIUS_PAGE_SIZE = 500; // rows read at a time for a radius community
+const WINDOW_DAYS = { recent: 14, all: 90 }; // default community windows
+const MAX_WINDOW_DAYS = 365;
+const COUNTRY_CENTROIDS = require(path.join(__dirname, 'country-centroids.json'));
+
+// Tables whose rows belong to one farm (username + area_id); they move with the farm
+const FARM_TABLES = ['images', 'forecasts', 'microclimate_data', 'crops', 'upload_jobs', 'social_posts'];
+
+function encodeGeohash(latitude, longitude, precision = STORED_GEOHASH_PRECISION) {
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    const range = evenBit ? lon : lat;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+// Bounds of a geohash cell: { south, west, north, east }, or null if it isn't a geohash
+function geohashBounds(hash) {
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let evenBit = true;
+  for (const char of String(hash)) {
+    const index = GEOHASH_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lon : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if ((index >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+  return { south: lat[0], west: lon[0], north: lat[1], east: lon[1] };
+}
+
+function areaIdFor(latitude, longitude) {
+  return encodeGeohash(latitude, longitude, AREA_GEOHASH_PRECISION);
+}
+
+// The farm's area from its profile (getProfile): the geohash cell of its location, or its
+// country for profiles that have neither coordinates nor a known country
+function farmAreaId(profile) {
+  return profile?.areaId || profile?.country || 'Unknown Location';
+}
+
+// Great-circle distance in km
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function validCoordinates(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+// Where a farm is: its own coordinates, else its country's centroid, else null.
+// Returns { latitude, longitude, geohash, areaId, source }.
+function resolveLocation(latitude, longitude, country) {
+  let source = 'farm';
+  if (!validCoordinates(latitude, longitude)) {
+    const centroid = COUNTRY_CENTROIDS[country];
+    if (!centroid) return null;
+    [latitude, longitude] = centroid;
+    source = 'country_centroid';
+  }
+  return {
+    latitude,
+    longitude,
+    geohash: encodeGeohash(latitude, longitude),
+    areaId: areaIdFor(latitude, longitude),
+    source
+  };
+}
+
+// Move a farm's rows to its new area (after it moved, or from its old country-keyed area).
+// Admin model settings of the old area are copied so the new area keeps them.
+function moveFarmData(db, username, fromAreaId, toAreaId) {
+  if (!fromAreaId || fromAreaId === toAreaId) return 0;
+  let moved = 0;
+  FARM_TABLES.forEach(table => {
+    moved += db.prepare(`UPDATE ${table} SET area_id = ? WHERE username = ? AND area_id = ?`).run(toAreaId, username, fromAreaId).changes;
+  });
+  db.prepare(`INSERT OR IGNORE INTO forecast_model_settings (area_id, kind, model_name, model_version, updated_by, updated_at)
+              SELECT ?, kind, model_name, model_version, updated_by, updated_at FROM forecast_model_settings WHERE area_id = ?`).run(toAreaId, fromAreaId);
+  return moved;
+}
+
+// The community around a farm (profile from db.getProfile): { mode, areaId, center, radiusKm }.
+// Farms without a location fall back to their area ID.
+function communityFor(profile, options = {}) {
+  const areaId = (profile && (profile.areaId || profile.country)) || 'Unknown Location';
+  if (!profile || !validCoordinates(profile.latitude, profile.longitude)) {
+    return { mode: 'area', areaId, center: null, radiusKm: null };
+  }
+  const mode = options.mode === 'geohash' || options.mode === 'radius' ? options.mode : COMMUNITY_MODE;
+  const radiusKm = Math.min(MAX_RADIUS_KM, Number(options.radiusKm) > 0 ? Number(options.radiusKm) : DEFAULT_RADIUS_KM);
+  return {
+    mode,
+    areaId,
+    center: { latitude: profile.latitude, longitude: profile.longitude },
+    radiusKm: mode === 'radius' ? radiusKm : null
+  };
+}
+
+// The farms of one area cell, e.g. for watching each area (outbreak-alerts.js)
+function areaCommunity(areaId) {
+  const cell = geohashBounds(areaId);
+  return {
+    mode: cell ? 'geohash' : 'area',
+    areaId,
+    center: cell ? { latitude: (cell.south + cell.north) / 2, longitude: (cell.west + cell.east) / 2 } : null,
+    radiusKm: null
+  };
+}
+
+// SQL condition on the joined profiles (alias p) or row area (alias t) selecting the community
+function communityCondition(community) {
+  if (community.mode === 'geohash') {
+    return { sql: 'p.geohash LIKE ?', params: [`${community.areaId}%`] };
+  }
+  if (community.mode === 'radius') {
+    // Bounding box here, exact distance after
+    const { latitude, longitude } = community.center;
+    const latDelta = community.radiusKm / 111.32;
+    const lonDelta = community.radiusKm / (111.32 * Math.max(0.01, Math.cos(latitude * Math.PI / 180)));
+    const sql = ['p.latitude BETWEEN ? AND ?'];
+    const params = [latitude - latDelta, latitude + latDelta];
+    if (longitude - lonDelta >= -180 && longitude + lonDelta <= 180) {
+      sql.push('p.longitude BETWEEN ? AND ?');
+      params.push(longitude - lonDelta, longitude + lonDelta);
+    }
+    return { sql: sql.join(' AND '), params };
+  }
+  return { sql: 't.area_id = ?', params: [community.areaId] };
+}
+
+// Rows of a farm table submitted by the community's farms, newest first.
+// options: { columns (of t), where (extra condition on t, e.g. a created_at window), params (of where), limit }
+// Area and cell communities are limited in SQL. Radius communities are selected by bounding box in
+// SQL and read a page at a time, keeping the rows within the radius, until the limit is filled.
+function communityRows(db, table, community, options = {}) {
+  const condition = communityCondition(community);
+  const where = [condition.sql].concat(options.where ? [options.where] : []).join(' AND ');
+  const params = condition.params.concat(options.params || []);
+  const sql = `SELECT ${options.columns || 't.*'}, t.username, p.latitude AS farm_latitude, p.longitude AS farm_longitude
+               FROM ${table} t LEFT JOIN profiles p ON p.username = t.username
+               WHERE ${where}
+               ORDER BY t.created_at DESC, t.id DESC`;
+
+  if (community.mode !== 'radius') {
+    return options.limit ? db.prepare(`${sql} LIMIT ?`).all(...params, options.limit) : db.prepare(sql).all(...params);
+  }
+
+  const page = db.prepare(`${sql} LIMIT ? OFFSET ?`);
+  const pageSize = options.limit ? Math.max(2 * options.limit, RADIUS_PAGE_SIZE) : RADIUS_PAGE_SIZE;
+  const rows = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const candidates = page.all(...params, pageSize, offset);
+    candidates.forEach(row => {
+      if (distanceKm(community.center.latitude, community.center.longitude, row.farm_latitude, row.farm_longitude) <= community.radiusKm) {
+        rows.push(row);
+      }
+    });
+    if (options.limit && rows.length >= options.limit) return rows.slice(0, options.limit);
+    if (candidates.length < pageSize) return rows;
+  }
+}
+
+// The time window of a community view: type 'recent' or 'all', or a number of days (at most
+// MAX_WINDOW_DAYS). Returns { days, since } with since as an SQLite UTC timestamp.
+function communityWindow(type, days) {
+  const requested = parseInt(days, 10);
+  const windowDays = requested > 0 ? Math.min(MAX_WINDOW_DAYS, requested) : (WINDOW_DAYS[type] || WINDOW_DAYS.recent);
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+  return { days: windowDays, since };
+}
+
+// Public description of a community for API responses
+function describeCommunity(community) {
+  return {
+    mode: community.mode,
+    areaId: community.areaId,
+    radiusKm: community.radiusKm,
+    cell: community.mode === 'area' ? null : geohashBounds(community.areaId)
+  };
+}
+
+module.exports = {
+  AREA_GEOHASH_PRECISION,
+  COUNTRY_CENTROIDS,
+  encodeGeohash,
+  geohashBounds,
+  areaIdFor,
+  farmAreaId,
+  distanceKm,
+  validCoordinates,
+  resolveLocation,
+  moveFarmData,
+  communityFor,
+  areaCommunity,
+  communityRows,
+  communityWindow,
+  describeCommunity
+};
@@ -0,0 +1,138 @@
+// Forecast backtesting: compare each stored forecast with what the traps showed afterwards
+// The observed level of a forecast is the highest pest level among the area's photos taken
+// in its horizon window (created_at, created_at + horizon]. Pest levels map onto risk levels
+// as very low/low -> low, moderate -> medium, high/very high -> high.
+
+const analysis = require('./analysis');
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const OBSERVED_RISK = ['low', 'low', 'medium', 'high', 'high'];
+const OBSERVED_SCORE = { low: 0, medium: 0.5, high: 1 }; // for calibration against risk scores
+const CALIBRATION_BINS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function emptyConfusion() {
+  const matrix = {};
+  RISK_LEVELS.forEach(predicted => {
+    matrix[predicted] = {};
+    RISK_LEVELS.forEach(observed => matrix[predicted][observed] = 0);
+  });
+  return matrix;
+}
+
+// Hit rate, per-level precision/recall, calibration and confusion matrix for evaluated forecasts
+function summarize(evaluated) {
+  const confusion = emptyConfusion();
+  let hits = 0;
+  let squaredError = 0;
+  evaluated.forEach(item => {
+    confusion[item.predictedLevel][item.observedLevel]++;
+    if (item.predictedLevel === item.observedLevel) hits++;
+    squaredError += (item.riskScore - OBSERVED_SCORE[item.observedLevel]) ** 2;
+  });
+
+  const perLevel = {};
+  RISK_LEVELS.forEach(level => {
+    const predicted = RISK_LEVELS.reduce((sum, observed) => sum + confusion[level][observed], 0);
+    const observed = RISK_LEVELS.reduce((sum, p) => sum + confusion[p][level], 0);
+    const correct = confusion[level][level];
+    perLevel[level] = {
+      predicted,
+      observed,
+      precision: predicted ? correct / predicted : null,
+      recall: observed ? correct / observed : null
+    };
+  });
+
+  // Risk scores in equal-width bins: a calibrated score matches the observed score on average
+  const calibration = [];
+  for (let bin = 0; bin < CALIBRATION_BINS; bin++) {
+    const low = bin / CALIBRATION_BINS;
+    const high = (bin + 1) / CALIBRATION_BINS;
+    const items = evaluated.filter(item => item.riskScore >= low && (item.riskScore < high || (bin === CALIBRATION_BINS - 1 && item.riskScore <= high)));
+    calibration.push({
+      range: [low, high],
+      count: items.length,
+      meanRiskScore: items.length ? items.reduce((sum, item) => sum + item.riskScore, 0) / items.length : null,
+      meanObservedScore: items.length ? items.reduce((sum, item) => sum + OBSERVED_SCORE[item.observedLevel], 0) / items.length : null
+    });
+  }
+
+  return {
+    evaluated: evaluated.length,
+    hitRate: evaluated.length ? hits / evaluated.length : null,
+    brierScore: evaluated.length ? squaredError / evaluated.length : null,
+    perLevel,
+    calibration,
+    confusionMatrix: confusion // confusionMatrix[predicted][observed]
+  };
+}
+
+// options: { days = 90, thresholds } where thresholds ({ medium, high }) re-levels the stored
+// risk scores, to see whether different thresholds would have done better
+function backtestForecasts(username, areaId, db, options = {}) {
+  const days = options.days || 90;
+  const thresholds = options.thresholds || analysis.RISK_THRESHOLDS;
+  const nowMs = Date.now();
+  const since = new Date(nowMs - days * DAY_MS).toISOString().replace('T', ' ').slice(0, 19);
+
+  const forecasts = db.getForecastHistory.all(username, areaId, since);
+  const images = db.getAreaImagesSince.all(username, areaId, since).map(row => ({
+    timeMs: analysis.dbTimeMs(row.created_at),
+    level: analysis.pestLevelForCount(analysis.forecastPestCount(row))
+  }));
+
+  const evaluated = [];
+  let pending = 0;
+  let noObservations = 0;
+  forecasts.forEach(forecast => {
+    const startMs = analysis.dbTimeMs(forecast.created_at);
+    const endMs = startMs + forecast.horizon_minutes * 60 * 1000;
+    if (endMs > nowMs) {
+      pending++;
+      return;
+    }
+    const inWindow = images.filter(image => image.timeMs > startMs && image.timeMs <= endMs);
+    if (inWindow.length === 0) {
+      noObservations++;
+      return;
+    }
+    evaluated.push({
+      id: forecast.id,
+      horizonMinutes: forecast.horizon_minutes,
+      createdAt: forecast.created_at,
+      model: `${forecast.model_name}@${forecast.model_version}`,
+      riskScore: forecast.risk_score,
+      predictedLevel: analysis.computeRiskLevel(forecast.risk_score, thresholds),
+      observedLevel: OBSERVED_RISK[Math.max(...inWindow.map(image => image.level))],
+      observations: inWindow.length
+    });
+  });
+
+  const byHorizon = {};
+  [...new Set(evaluated.map(item => item.horizonMinutes))].sort((a, b) => a - b).forEach(minutes => {
+    byHorizon[minutes] = summarize(evaluated.filter(item => item.horizonMinutes === minutes));
+  });
+
+  // Models that made the forecasts (forecast-models.js), so they can be compared
+  const byModel = {};
+  [...new Set(evaluated.map(item => item.model))].sort().forEach(model => {
+    byModel[model] = summarize(evaluated.filter(item => item.model === model));
+  });
+
+  return {
+    areaId,
+    since,
+    thresholds,
+    forecasts: forecasts.length,
+    pending, // horizon window not over yet
+    noObservations, // no trap photos taken in the window
+    overall: summarize(evaluated),
+    byHorizon,
+    byModel
+  };
+}
+
+module.exports = {
+  backtestForecasts
+};
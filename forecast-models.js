@@ -0,0 +1,145 @@
+// Forecast model registry
+// Forecast models register a kind ('pest' or 'heat'), a name, a version and a compute function
+// compute(username, areaId, db, options). Pest models return { riskScore, riskLevel, details,
+// horizons } like computeForecastForArea and take options.asOf; heat models return { rows,
+// summary } with summary as from summarizeHeatStress (null without readings).
+// The active model of a kind is the area's setting (forecast_model_settings, set by admins),
+// else PEST_FORECAST_MODEL / HEAT_FORECAST_MODEL, else the default below. A setting is a name
+// (its latest version) or name@version. Stored forecasts record the model and version.
+
+const analysis = require('./analysis');
+const pestClimate = require('./pest-climate');
+
+const KINDS = ['pest', 'heat'];
+const DEFAULT_MODELS = { pest: 'trap-trend', heat: 'heat-mean' };
+const ENV_MODELS = { pest: process.env.PEST_FORECAST_MODEL, heat: process.env.HEAT_FORECAST_MODEL };
+
+const models = [];
+
+function registerModel({ kind, name, version, description = '', compute }) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown forecast kind: ${kind}`);
+  if (!name || !Number.isInteger(version) || typeof compute !== 'function') {
+    throw new Error('A forecast model needs a name, a whole-number version and a compute function');
+  }
+  if (findModel(kind, name, version)) throw new Error(`Forecast model already registered: ${name}@${version}`);
+  models.push({ kind, name, version, description, compute });
+}
+
+// A registered model by name, and version (latest when left out)
+function findModel(kind, name, version = null) {
+  return models
+    .filter(model => model.kind === kind && model.name === name && (version === null || model.version === version))
+    .sort((a, b) => b.version - a.version)[0] || null;
+}
+
+function parseModelSetting(setting) {
+  const [name, version] = String(setting).split('@');
+  return { name, version: version === undefined ? null : Number(version) };
+}
+
+function listModels(kind = null) {
+  return models
+    .filter(model => !kind || model.kind === kind)
+    .map(({ kind, name, version, description }) => ({ kind, name, version, description }));
+}
+
+// The model that forecasts this kind for an area, and where the choice came from
+function activeModel(db, kind, areaId) {
+  const setting = db.getForecastModelSetting.get(areaId, kind);
+  const candidates = [
+    setting && { name: setting.model_name, version: setting.model_version, source: 'area' },
+    ENV_MODELS[kind] && { ...parseModelSetting(ENV_MODELS[kind]), source: 'deployment' }
+  ].filter(Boolean);
+  for (const candidate of candidates) {
+    const model = findModel(kind, candidate.name, candidate.version);
+    if (model) return { model, source: candidate.source };
+    console.error(`Forecast model ${candidate.name}${candidate.version ? '@' + candidate.version : ''} is not registered; skipping`);
+  }
+  return { model: findModel(kind, DEFAULT_MODELS[kind]), source: 'default' };
+}
+
+function run(model, username, areaId, db, options) {
+  return { model: { name: model.name, version: model.version }, ...model.compute(username, areaId, db, options) };
+}
+
+// Forecast of the area's active model, with { model: { name, version } }
+function runForecast(db, kind, username, areaId, options = {}) {
+  return run(activeModel(db, kind, areaId).model, username, areaId, db, options);
+}
+
+// Forecast of a given model (e.g. the one that produced a stored forecast), or null if it isn't registered
+function runModel(db, kind, name, version, username, areaId, options = {}) {
+  const model = findModel(kind, name, version);
+  return model ? run(model, username, areaId, db, options) : null;
+}
+
+// ----------------------------------------
+// Built-in models
+// ----------------------------------------
+
+registerModel({
+  kind: 'pest',
+  name: 'trap-trend',
+  version: 1,
+  description: 'Recency-weighted trap pest levels, catch trend and degree-day emergence',
+  compute: (username, areaId, db, options) => analysis.computeForecastForArea(username, areaId, db, options)
+});
+
+registerModel({
+  kind: 'pest',
+  name: 'pest-climate',
+  version: 1,
+  description: 'trap-trend adjusted for how well recent temperature and humidity suit the trapped species',
+  compute: (username, areaId, db, options) => {
+    const forecast = pestClimate.computePestClimateRisk(username, areaId, db, options);
+    return {
+      riskScore: forecast.riskScore,
+      riskLevel: forecast.riskLevel,
+      details: {
+        ...forecast.details,
+        baseRiskScore: forecast.baseRiskScore,
+        climateMultiplier: forecast.climateMultiplier,
+        climate: forecast.climate,
+        explanations: forecast.explanations.map(item => item.text)
+      },
+      horizons: forecast.horizons
+    };
+  }
+});
+
+function recentHeatRows(username, areaId, db) {
+  return db.getRecentMicroclimateForForecast.all(username, areaId);
+}
+
+registerModel({
+  kind: 'heat',
+  name: 'heat-mean',
+  version: 1,
+  description: 'Mean heat stress score of the last 10 readings, per crop growth stage',
+  compute: (username, areaId, db) => {
+    const rows = recentHeatRows(username, areaId, db);
+    return { rows, summary: analysis.summarizeHeatStress(rows, db.getUserCropsByArea.all(username, areaId)) };
+  }
+});
+
+registerModel({
+  kind: 'heat',
+  name: 'heat-latest',
+  version: 1,
+  description: 'Heat stress score of the latest reading only, per crop growth stage',
+  compute: (username, areaId, db) => {
+    const rows = recentHeatRows(username, areaId, db).slice(0, 1);
+    return { rows, summary: analysis.summarizeHeatStress(rows, db.getUserCropsByArea.all(username, areaId)) };
+  }
+});
+
+module.exports = {
+  KINDS,
+  registerModel,
+  findModel,
+  parseModelSetting,
+  listModels,
+  activeModel,
+  runForecast,
+  runModel
+};
@@ -0,0 +1,128 @@
+// Heat stress indices from air temperature (°C) and relative humidity (%)
+// Standard formulas, so the same reading always gives the same numbers and small changes in
+// temperature move the stress score a little instead of jumping a whole band.
+
+// Score weights (sum to 100) and the ranges over which each part goes from no stress to full stress
+const SCORE_PARTS = {
+  heatIndex: { weight: 50, from: 26, to: 41 }, // °C, NWS "caution" to "danger"
+  vapourPressureDeficit: { weight: 15, from: 1.5, to: 3.5 }, // kPa, leaves close stomata above ~1.5
+  soilTemperature: { weight: 20, from: 24, to: 32 }, // °C, root stress
+  soilMoisture: { weight: 15, from: 40, to: 15 } // %, drier is worse
+};
+
+// Lower bounds of each level on the 0-100 score
+const HEAT_STRESS_LEVELS = [
+  { level: 'critical', minScore: 70 },
+  { level: 'high', minScore: 50 },
+  { level: 'moderate', minScore: 30 },
+  { level: 'low', minScore: 15 },
+  { level: 'minimal', minScore: 0 }
+];
+
+// Saturation vapour pressure in kPa (Tetens)
+function saturationVapourPressure(airTemperature) {
+  return 0.6108 * Math.exp((17.27 * airTemperature) / (airTemperature + 237.3));
+}
+
+function vapourPressureDeficit(airTemperature, relativeHumidity) {
+  return saturationVapourPressure(airTemperature) * (1 - relativeHumidity / 100);
+}
+
+// Dew point in °C (Magnus formula)
+function dewPoint(airTemperature, relativeHumidity) {
+  const a = 17.62;
+  const b = 243.12;
+  const gamma = Math.log(Math.max(relativeHumidity, 1) / 100) + (a * airTemperature) / (b + airTemperature);
+  return (b * gamma) / (a - gamma);
+}
+
+// NWS heat index in °C: Steadman's simple formula, or the Rothfusz regression with its
+// low/high humidity adjustments once the result reaches 80°F
+function heatIndex(airTemperature, relativeHumidity) {
+  const t = airTemperature * 9 / 5 + 32;
+  const rh = relativeHumidity;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+      0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+      0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+  return (hi - 32) * 5 / 9;
+}
+
+// Temperature-humidity index (°C form); above ~72 heat starts to affect crops and livestock
+function temperatureHumidityIndex(airTemperature, relativeHumidity) {
+  return 0.8 * airTemperature + (relativeHumidity / 100) * (airTemperature - 14.4) + 46.4;
+}
+
+// 0 at `from`, 1 at `to`, linear in between (works for falling ranges too)
+function ramp(value, from, to) {
+  const share = (value - from) / (to - from);
+  return Math.min(1, Math.max(0, share));
+}
+
+function heatStressLevelForScore(score) {
+  return HEAT_STRESS_LEVELS.find(entry => score >= entry.minScore).level;
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+// Indices and a 0-100 stress score for one microclimate reading.
+// ranges overrides the stress ranges of SCORE_PARTS, e.g. { heatIndex: [30, 38] } for a crop stage.
+function computeHeatStress(airTemperature, soilTemperature, soilMoisture, relativeHumidity, ranges = {}) {
+  const air = Number(airTemperature);
+  const humidity = Math.min(100, Math.max(0, Number(relativeHumidity)));
+  const indices = {
+    heatIndex: heatIndex(air, humidity),
+    dewPoint: dewPoint(air, humidity),
+    vapourPressureDeficit: vapourPressureDeficit(air, humidity),
+    temperatureHumidityIndex: temperatureHumidityIndex(air, humidity)
+  };
+  const inputs = {
+    heatIndex: indices.heatIndex,
+    vapourPressureDeficit: indices.vapourPressureDeficit,
+    soilTemperature: Number(soilTemperature),
+    soilMoisture: Number(soilMoisture)
+  };
+
+  const components = {};
+  let score = 0;
+  Object.entries(SCORE_PARTS).forEach(([key, part]) => {
+    const [from, to] = ranges[key] || [part.from, part.to];
+    const value = part.weight * ramp(inputs[key], from, to);
+    components[key] = round(value, 1);
+    score += value;
+  });
+  score = round(score, 1);
+
+  return {
+    score,
+    level: heatStressLevelForScore(score),
+    indices: {
+      heatIndex: round(indices.heatIndex, 1),
+      dewPoint: round(indices.dewPoint, 1),
+      vapourPressureDeficit: round(indices.vapourPressureDeficit, 2),
+      temperatureHumidityIndex: round(indices.temperatureHumidityIndex, 1)
+    },
+    components
+  };
+}
+
+module.exports = {
+  SCORE_PARTS,
+  HEAT_STRESS_LEVELS,
+  heatIndex,
+  dewPoint,
+  vapourPressureDeficit,
+  temperatureHumidityIndex,
+  heatStressLevelForScore,
+  computeHeatStress
+};
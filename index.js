@@ -9,6 +9,23 @@ const cors = require('cors');
 const app = express();
 const db = require('./db.js');
 const analysis = require('./analysis.js');
+const calibration = require('./calibration.js');
+const trapUploads = require('./trap-uploads.js');
+const uploadWorker = require('./upload-worker.js');
+const uploadValidation = require('./upload-validation.js');
+const reprocess = require('./reprocess.js');
+const degreeDays = require('./degree-days.js');
+const forecastBacktest = require('./forecast-backtest.js');
+const cropProfiles = require('./crop-profiles.js');
+const irrigation = require('./irrigation.js');
+const microclimateQuality = require('./microclimate-quality.js');
+const pestClimate = require('./pest-climate.js');
+const adviceRules = require('./advice-rules.js');
+const forecastModels = require('./forecast-models.js');
+const farmLocations = require('./farm-locations.js');
+const communityAnalysis = require('./community-analysis.js');
+const outbreakAlerts = require('./outbreak-alerts.js');
+const mapLayer = require('./map-layer.js');
 
 // Setup multer for file uploads
 const storage = multer.diskStorage({
@@ -16,13 +33,41 @@ const storage = multer.diskStorage({
     cb(null, path.join(__dirname, 'data', 'uploads'));
   },
   filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname || '') || '.jpg';
-    const base = path.basename(file.originalname || 'trap', ext).replace(/[^a-zA-Z0-9-_]/g, '_');
+    // Extension follows the declared type, not whatever the client named the file
+    const ext = uploadValidation.ALLOWED_MIME_TYPES[file.mimetype] || '.jpg';
+    const base = path.basename(file.originalname || 'trap', path.extname(file.originalname || '')).replace(/[^a-zA-Z0-9-_]/g, '_');
     const stamp = Date.now();
     cb(null, `${base}_${stamp}${ext}`);
   }
 });
-const upload = multer({ storage });
+const upload = multer({
+  storage,
+  limits: { fileSize: uploadValidation.MAX_UPLOAD_BYTES },
+  fileFilter: function (req, file, cb) {
+    if (!uploadValidation.ALLOWED_MIME_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('UNSUPPORTED_TYPE', file.originalname));
+    }
+    cb(null, true);
+  }
+});
+
+// Run a multer middleware and turn its errors into 400 responses with a readable reason
+function acceptUpload(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, err => {
+      if (!err) return next();
+      if (!(err instanceof multer.MulterError)) return next(err);
+      const name = err.field ? ` (${err.field})` : '';
+      const messages = {
+        UNSUPPORTED_TYPE: `Unsupported file type${name}. Use JPEG, PNG or WebP images`,
+        LIMIT_FILE_SIZE: `Image is larger than ${Math.round(uploadValidation.MAX_UPLOAD_BYTES / (1024 * 1024))} MB`,
+        LIMIT_FILE_COUNT: 'Too many images in one upload',
+        LIMIT_UNEXPECTED_FILE: 'Too many images in one upload'
+      };
+      res.status(400).json({ error: messages[err.code] || err.message });
+    });
+  };
+}
 
 // Middleware
 app.use(cors());
@@ -68,6 +113,37 @@ function requireAuth(req, res, next) {
   }
 }
 
+// Admin accounts are listed in ADMIN_USERS (comma separated usernames); use after requireAuth
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_USERS.includes(req.session.username)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+// A date range from query from/to (YYYY-MM-DD, UTC days), to defaulting to now and from to
+// defaultDays before it. Returns { fromMs, toMs } or { error }.
+function parseDateRange(query, defaultDays) {
+  const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((query.from && !dayPattern.test(query.from)) || (query.to && !dayPattern.test(query.to))) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  const toMs = query.to ? Date.parse(`${query.to}T00:00:00Z`) : Date.now();
+  const fromMs = query.from ? Date.parse(`${query.from}T00:00:00Z`) : toMs - (defaultDays - 1) * 24 * 60 * 60 * 1000;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  if (fromMs > toMs) {
+    return { error: 'from must be a date on or before to' };
+  }
+  if (toMs - fromMs > 366 * 24 * 60 * 60 * 1000) {
+    return { error: 'The date range can be at most 366 days' };
+  }
+  return { fromMs, toMs };
+}
+
 // Require profile completion middleware
 function requireProfileComplete(req, res, next) {
   console.log('requireProfileComplete check - username:', req.session.username, 'path:', req.path);
@@ -146,6 +222,10 @@ app.get('/feed', requireProfileComplete, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'feed.html'));
 });
 
+app.get('/map', requireProfileComplete, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'map.html'));
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -161,14 +241,18 @@ app.get('/api/profile', requireAuth, (req, res) => {
     
     if (!result) {
       console.log('No profile found, returning default values');
-      return res.json({ realName: '', farmSize: '', country: '' });
+      return res.json({ realName: '', farmSize: '', country: '', latitude: null, longitude: null, areaId: null, locationSource: null });
     }
     
     // Ensure we handle NULL values properly
     const cleanResult = {
       realName: result.realName || '',
       farmSize: result.farmSize || '',
-      country: result.country || ''
+      country: result.country || '',
+      latitude: result.latitude,
+      longitude: result.longitude,
+      areaId: result.areaId,
+      locationSource: result.locationSource // 'farm', or 'country_centroid' until the farm's location is set
     };
     
     console.log('Cleaned result being sent:', cleanResult);
@@ -188,9 +272,34 @@ app.post('/api/profile', requireAuth, (req, res) => {
     farmSize,
     country
   });
+
+  // Farm coordinates are optional; without them the farm is placed at its country's centroid
+  const hasCoordinates = ![req.body.latitude, req.body.longitude].every(value => value === undefined || value === null || value === '');
+  let latitude = hasCoordinates ? Number(req.body.latitude) : null;
+  let longitude = hasCoordinates ? Number(req.body.longitude) : null;
+  if (hasCoordinates && !farmLocations.validCoordinates(latitude, longitude)) {
+    return res.status(400).json({ error: 'Latitude must be between -90 and 90 and longitude between -180 and 180' });
+  }
   
   try {
-    const result = db.updateProfile.run(req.session.username, realName || null, farmSize || null, country || null);
+    const previous = db.getProfile.get(req.session.username);
+    // Leaving the coordinates out (rather than clearing them) keeps the farm where it is
+    const coordinatesOmitted = req.body.latitude === undefined && req.body.longitude === undefined;
+    if (coordinatesOmitted && previous && previous.locationSource === 'farm') {
+      latitude = previous.latitude;
+      longitude = previous.longitude;
+    }
+    const location = farmLocations.resolveLocation(latitude, longitude, country);
+    const result = db.db.transaction(() => {
+      const saved = db.updateProfile.run(req.session.username, realName || null, farmSize || null, country || null,
+        location ? location.latitude : null, location ? location.longitude : null, location ? location.geohash : null,
+        location ? location.areaId : null, location ? location.source : null);
+      // The farm's earlier data moves with it to its new area
+      if (location && previous) {
+        farmLocations.moveFarmData(db, req.session.username, farmLocations.farmAreaId(previous), location.areaId);
+      }
+      return saved;
+    })();
     console.log('Profile update result:', result);
     
     // If country is set, clear the newUser flag
@@ -198,7 +307,7 @@ app.post('/api/profile', requireAuth, (req, res) => {
       req.session.newUser = false;
     }
     
-    res.json({ success: true });
+    res.json({ success: true, areaId: location ? location.areaId : null });
   } catch (err) {
     console.error('Error saving profile:', err);
     res.status(500).json({ error: 'Database error', message: err.message });
@@ -292,55 +401,49 @@ app.get('/api/user', requireAuth, (req, res) => {
 // ----------------------------------------
 
 // Upload and analyze pest trap image
-app.post('/api/upload-pest-trap', requireAuth, upload.single('image'), async (req, res) => {
+app.post('/api/upload-pest-trap', requireAuth, acceptUpload(upload.single('image')), async (req, res) => {
   try {
-    // Get user's country from profile (this becomes the area)
+    // The farm's area (geohash cell of its location) and country from the profile
     let userCountry = 'Unknown Location';
+    let areaId = 'Unknown Location';
     try {
       const profile = db.getProfile.get(req.session.username);
       userCountry = profile?.country || 'Unknown Location';
+      areaId = farmLocations.farmAreaId(profile);
     } catch (err) {
       console.log('Profile not found for user:', req.session.username);
     }
     
-    const areaId = userCountry; // Use country as area
-    
     if (!req.file) {
       return res.status(400).json({ error: 'image is required' });
     }
 
+    // Optional: which registered trap this photo is of
+    let trap = null;
+    if (req.body.trapId) {
+      trap = db.getTrap.get(parseInt(req.body.trapId, 10), req.session.username);
+      if (!trap) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ error: 'Unknown trap' });
+      }
+    }
 
     const filePath = req.file.path;
-    const { width, height, darkPixelRatio, estimatedPestCount, analysis: analysisResult } = 
-      await analysis.analyzeStickyTrapImage(filePath);
-
-    const pestAmountCategory = analysis.categorizePestAmount(estimatedPestCount, darkPixelRatio);
+    const validation = await uploadValidation.validateTrapImage(filePath);
+    if (!validation.ok) {
+      fs.unlink(filePath, () => {});
+      return res.status(400).json({ error: validation.reason, quality: validation.quality || null });
+    }
 
-    // Save to database
-    db.insertImage.run(
-      req.session.username,
-      areaId,
-      path.relative(__dirname, filePath).replace(/\\/g, '/'),
-      width,
-      height,
-      darkPixelRatio,
-      estimatedPestCount,
-      pestAmountCategory,
-      JSON.stringify(analysisResult)
-    );
+    const {
+      width, height, darkPixelRatio, estimatedPestCount, rawBlobCount, classCounts, card,
+      pestAmountCategory, overlayPath, newCatch, qualityFlags, capturedAt, gps
+    } = await trapUploads.processTrapImage(db, { username: req.session.username, areaId, trap, filePath, validation });
 
     // Compute and save forecast
-    const forecast = analysis.computeForecastForArea(req.session.username, areaId, db);
-    db.insertForecast.run(
-      req.session.username,
-      areaId,
-      60,
-      forecast.riskScore,
-      forecast.riskLevel,
-      JSON.stringify(forecast.details)
-    );
+    const forecast = trapUploads.refreshForecast(db, req.session.username, areaId);
 
-    const advice = analysis.simpleAdviceForLevel(forecast.riskLevel);
+    const advice = adviceRules.pestAdvice(db, req.session.username, areaId, forecast).advice;
 
     res.json({
       success: true,
@@ -348,12 +451,26 @@ app.post('/api/upload-pest-trap', requireAuth, upload.single('image'), async (re
       riskLevel: forecast.riskLevel,
       advice,
       fileUrl: `/uploads/${path.basename(filePath)}`,
+      overlayUrl: overlayPath ? `/uploads/${path.basename(overlayPath)}` : null,
       metrics: {
         width,
         height,
         darkPixelRatio,
-        estimatedPestCount
+        estimatedPestCount,
+        rawBlobCount,
+        classCounts
       },
+      card, // { found, corners } or { found: false, reason } when the whole photo was counted
+      trap: trap ? { id: trap.id, name: trap.name } : null,
+      newCatches: newCatch ? {
+        count: newCatch.newCatchCount,
+        method: newCatch.method,
+        sinceImageId: newCatch.previousImageId,
+        intervalDays: newCatch.intervalDays
+      } : null,
+      qualityFlags, // e.g. ['slightly_blurry'] - analyzed, but the count may be less reliable
+      capturedAt, // from EXIF, null when the upload time was used
+      gps,
       country: userCountry,
       areaId: areaId
     });
@@ -363,25 +480,279 @@ app.post('/api/upload-pest-trap', requireAuth, upload.single('image'), async (re
   }
 });
 
+// Batch upload: queue many trap images and analyze them in the background
+const MAX_BATCH_IMAGES = 50;
+
+app.post('/api/upload-pest-trap-batch', requireAuth, acceptUpload(upload.array('images', MAX_BATCH_IMAGES)), (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one image is required' });
+    }
+
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = farmLocations.farmAreaId(profile);
+
+    const createJob = db.db.transaction(files => {
+      const job = db.createUploadJob.run(req.session.username, areaId, files.length);
+      const jobId = Number(job.lastInsertRowid);
+      files.forEach(file => {
+        db.insertUploadJobItem.run(jobId, file.originalname || null, path.relative(__dirname, file.path).replace(/\\/g, '/'));
+      });
+      return jobId;
+    });
+    const jobId = createJob(req.files);
+    uploadWorker.wakeUploadWorker();
+
+    res.json({
+      success: true,
+      jobId,
+      totalImages: req.files.length,
+      statusUrl: `/api/upload-jobs/${jobId}`,
+      areaId
+    });
+  } catch (err) {
+    console.error('Error creating upload job:', err);
+    res.status(500).json({ error: 'batch_upload_failed', message: err.message });
+  }
+});
+
+function formatUploadJob(job) {
+  const counts = uploadWorker.itemCounts(job.id);
+  const finished = counts.done + counts.failed;
+  return {
+    id: job.id,
+    areaId: job.area_id,
+    status: job.status,
+    total: job.total_items,
+    queued: counts.queued,
+    processing: counts.processing,
+    done: counts.done,
+    failed: counts.failed,
+    progress: job.total_items > 0 ? finished / job.total_items : 1,
+    forecast: job.forecast_json ? JSON.parse(job.forecast_json) : null,
+    createdAt: job.created_at,
+    finishedAt: job.finished_at
+  };
+}
+
+// Recent batch upload jobs
+app.get('/api/upload-jobs', requireAuth, (req, res) => {
+  try {
+    const limit = Math.min(50, parseInt(req.query.limit || '10', 10));
+    const jobs = db.getUserUploadJobs.all(req.session.username, limit).map(formatUploadJob);
+    res.json({ success: true, jobs });
+  } catch (err) {
+    console.error('Error fetching upload jobs:', err);
+    res.status(500).json({ error: 'jobs_failed', message: err.message });
+  }
+});
+
+// Batch upload job status with per-image progress and failures
+app.get('/api/upload-jobs/:id', requireAuth, (req, res) => {
+  try {
+    const job = db.getUploadJob.get(parseInt(req.params.id, 10), req.session.username);
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
+
+    const items = db.getUploadJobItems.all(job.id).map(item => ({
+      id: item.id,
+      originalName: item.original_name,
+      status: item.status,
+      imageId: item.image_id,
+      pestAmount: item.pest_amount || null,
+      estimatedPestCount: item.estimated_pest_count ?? null,
+      error: item.error,
+      fileUrl: `/uploads/${path.basename(item.file_path)}`,
+      finishedAt: item.finished_at
+    }));
+
+    res.json({ success: true, job: formatUploadJob(job), items });
+  } catch (err) {
+    console.error('Error fetching upload job:', err);
+    res.status(500).json({ error: 'job_failed', message: err.message });
+  }
+});
+
+// List the user's registered traps
+app.get('/api/traps', requireAuth, (req, res) => {
+  try {
+    const traps = db.getUserTraps.all(req.session.username);
+    res.json({ success: true, traps });
+  } catch (err) {
+    console.error('Error fetching traps:', err);
+    res.status(500).json({ error: 'traps_failed', message: err.message });
+  }
+});
+
+// Register a named trap
+app.post('/api/traps', requireAuth, (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Trap name is required' });
+    }
+
+    const result = db.createTrap.run(req.session.username, name);
+    res.json({ success: true, trap: { id: result.lastInsertRowid, name } });
+  } catch (err) {
+    console.error('Error creating trap:', err);
+    if (err.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'Trap name already exists' });
+    }
+    res.status(500).json({ error: 'trap_failed', message: err.message });
+  }
+});
+
+// Irrigation schedule from evapotranspiration and the soil moisture trend, per crop
+app.get('/api/irrigation-recommendation', requireAuth, (req, res) => {
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = req.query.areaId || farmLocations.farmAreaId(profile);
+    const recommendation = irrigation.recommendIrrigation(req.session.username, areaId, db, {
+      crops: db.getUserCropsByArea.all(req.session.username, areaId),
+      farmSizeAcres: profile?.farmSize
+    });
+    res.json({ success: true, ...recommendation });
+  } catch (err) {
+    console.error('Error computing irrigation recommendation:', err);
+    res.status(500).json({ error: 'irrigation_failed', message: err.message });
+  }
+});
+
+// Crop library for the crop picker (crop-profiles.json)
+app.get('/api/crop-profiles', requireAuth, (req, res) => {
+  try {
+    const profiles = Object.values(cropProfiles.loadCropProfiles()).map(profile => ({
+      key: profile.key,
+      name: profile.name,
+      stages: profile.stages.map(stage => ({ key: stage.key, name: stage.name, untilDay: stage.untilDay ?? null }))
+    }));
+    res.json({ success: true, profiles });
+  } catch (err) {
+    console.error('Error fetching crop profiles:', err);
+    res.status(500).json({ error: 'crop_profiles_failed', message: err.message });
+  }
+});
+
+// List the user's crops with their current growth stage
+app.get('/api/crops', requireAuth, (req, res) => {
+  try {
+    const profiles = cropProfiles.loadCropProfiles();
+    const crops = db.getUserCrops.all(req.session.username).map(row => {
+      const profile = profiles[row.crop_key];
+      const current = profile ? cropProfiles.growthStage(profile, row.planting_date) : null;
+      return {
+        id: row.id,
+        areaId: row.area_id,
+        cropKey: row.crop_key,
+        cropName: profile ? profile.name : row.crop_key,
+        plantingDate: row.planting_date,
+        daysAfterPlanting: current ? current.daysAfterPlanting : null,
+        stage: current ? current.stage.key : null,
+        stageName: current ? current.stage.name : (profile ? 'Not planted yet' : 'Unknown crop')
+      };
+    });
+    res.json({ success: true, crops });
+  } catch (err) {
+    console.error('Error fetching crops:', err);
+    res.status(500).json({ error: 'crops_failed', message: err.message });
+  }
+});
+
+// Register a crop on the user's farm
+app.post('/api/crops', requireAuth, (req, res) => {
+  try {
+    const cropKey = req.body.cropKey;
+    const plantingDate = req.body.plantingDate;
+    if (!cropProfiles.loadCropProfiles()[cropKey]) {
+      return res.status(400).json({ error: 'Unknown crop' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(plantingDate || '') || Number.isNaN(Date.parse(`${plantingDate}T00:00:00Z`))) {
+      return res.status(400).json({ error: 'Planting date must be YYYY-MM-DD' });
+    }
+
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = farmLocations.farmAreaId(profile);
+    const result = db.createCrop.run(req.session.username, areaId, cropKey, plantingDate);
+    res.json({ success: true, crop: { id: result.lastInsertRowid, areaId, cropKey, plantingDate } });
+  } catch (err) {
+    console.error('Error creating crop:', err);
+    res.status(500).json({ error: 'crop_failed', message: err.message });
+  }
+});
+
+// Remove a crop (e.g. after harvest)
+app.delete('/api/crops/:id', requireAuth, (req, res) => {
+  try {
+    const result = db.deleteCrop.run(parseInt(req.params.id, 10), req.session.username);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Crop not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting crop:', err);
+    res.status(500).json({ error: 'crop_delete_failed', message: err.message });
+  }
+});
+
+// Degree-day development forecast: heat accumulated per pest species and the next generation peak
+app.get('/api/degree-day-forecast', requireAuth, (req, res) => {
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = req.query.areaId || farmLocations.farmAreaId(profile);
+    const biofix = req.query.biofix || null;
+
+    if (biofix && !/^\d{4}-\d{2}-\d{2}$/.test(biofix)) {
+      return res.status(400).json({ error: 'biofix must be a date (YYYY-MM-DD)' });
+    }
+
+    const development = degreeDays.computeDegreeDays(req.session.username, areaId, db, { biofix });
+    // Which species matter comes from what the farm's traps are catching
+    const forecast = analysis.computeForecastForArea(req.session.username, areaId, db);
+    const classCounts = forecast.details.classCounts || null;
+    const trapped = development.species.filter(status => classCounts && classCounts[status.species] > 0);
+    const nextEmergence = (trapped.length ? trapped : development.species)
+      .filter(status => status.daysToNextPeak !== null)
+      .sort((a, b) => a.daysToNextPeak - b.daysToNextPeak)[0] || null;
+
+    res.json({
+      success: true,
+      areaId,
+      ...development,
+      classCounts,
+      nextEmergence,
+      riskBoost: degreeDays.emergenceRiskBoost(development, classCounts, 0),
+      riskLevel: forecast.riskLevel
+    });
+  } catch (err) {
+    console.error('Error computing degree-day forecast:', err);
+    res.status(500).json({ error: 'degree_day_forecast_failed', message: err.message });
+  }
+});
+
 // Get forecast for user's area
 app.get('/api/pest-forecast', requireAuth, (req, res) => {
   try {
-    const areaId = req.query.areaId || 'greenhouse-1';
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = req.query.areaId || farmLocations.farmAreaId(profile);
     
     console.log('Computing forecast for:', req.session.username, 'area:', areaId); // Debug logging
     
-    const forecast = analysis.computeForecastForArea(req.session.username, areaId, db);
-    const advice = analysis.simpleAdviceForLevel(forecast.riskLevel);
+    const forecast = forecastModels.runForecast(db, 'pest', req.session.username, areaId);
+    const advice = adviceRules.pestAdvice(db, req.session.username, areaId, forecast).advice;
     
     console.log('Forecast result:', forecast); // Debug logging
     
     res.json({
       success: true,
       areaId,
+      model: forecast.model,
       riskLevel: forecast.riskLevel,
       riskScore: forecast.riskScore,
       advice,
-      details: forecast.details
+      details: forecast.details,
+      horizons: forecast.horizons // 24h / 72h / 7d projections with confidence intervals
     });
   } catch (err) {
     console.error('Error computing forecast:', err);
@@ -389,6 +760,129 @@ app.get('/api/pest-forecast', requireAuth, (req, res) => {
   }
 });
 
+// Stored forecasts of the user's area over time (one series per horizon)
+app.get('/api/forecast-history', requireAuth, (req, res) => {
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = req.query.areaId || farmLocations.farmAreaId(profile);
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+
+    const forecasts = db.getForecastHistory.all(req.session.username, areaId, since).map(row => ({
+      id: row.id,
+      horizonMinutes: row.horizon_minutes,
+      riskScore: row.risk_score,
+      riskLevel: row.risk_level,
+      model: { name: row.model_name, version: row.model_version },
+      createdAt: row.created_at
+    }));
+
+    res.json({ success: true, areaId, days, forecasts });
+  } catch (err) {
+    console.error('Error fetching forecast history:', err);
+    res.status(500).json({ error: 'forecast_history_failed', message: err.message });
+  }
+});
+
+// Pest risk adjusted for how well recent temperature and humidity suit the species on the traps
+app.get('/api/pest-climate-forecast', requireAuth, (req, res) => {
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = req.query.areaId || farmLocations.farmAreaId(profile);
+    const forecast = pestClimate.computePestClimateRisk(req.session.username, areaId, db);
+    res.json({ success: true, areaId, ...forecast });
+  } catch (err) {
+    console.error('Error computing pest-climate forecast:', err);
+    res.status(500).json({ error: 'pest_climate_forecast_failed', message: err.message });
+  }
+});
+
+// Registered forecast models and the ones active for the user's area
+app.get('/api/forecast-models', requireAuth, (req, res) => {
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = req.query.areaId || farmLocations.farmAreaId(profile);
+    const active = {};
+    forecastModels.KINDS.forEach(kind => {
+      const { model, source } = forecastModels.activeModel(db, kind, areaId);
+      active[kind] = { name: model.name, version: model.version, source };
+    });
+    res.json({ success: true, areaId, models: forecastModels.listModels(), active });
+  } catch (err) {
+    console.error('Error listing forecast models:', err);
+    res.status(500).json({ error: 'forecast_models_failed', message: err.message });
+  }
+});
+
+// Several models side by side on the same data. models is a comma-separated list of
+// name or name@version (all models of the kind by default).
+app.get('/api/forecast-compare', requireAuth, (req, res) => {
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = req.query.areaId || farmLocations.farmAreaId(profile);
+    const kind = req.query.kind || 'pest';
+    if (!forecastModels.KINDS.includes(kind)) {
+      return res.status(400).json({ error: 'kind must be "pest" or "heat"' });
+    }
+
+    const requested = req.query.models
+      ? req.query.models.split(',').map(item => forecastModels.parseModelSetting(item.trim()))
+      : forecastModels.listModels(kind);
+    const unknown = requested.find(item => !forecastModels.findModel(kind, item.name, item.version));
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown ${kind} model: ${unknown.name}${unknown.version ? '@' + unknown.version : ''}` });
+    }
+
+    const active = forecastModels.activeModel(db, kind, areaId).model;
+    const results = requested.map(item => {
+      const started = Date.now();
+      const forecast = forecastModels.runModel(db, kind, item.name, item.version, req.session.username, areaId);
+      const result = kind === 'pest'
+        ? { riskLevel: forecast.riskLevel, riskScore: forecast.riskScore, horizons: forecast.horizons }
+        : { heatStressLevel: forecast.summary ? forecast.summary.level : null, heatStressScore: forecast.summary ? forecast.summary.score : null, readings: forecast.rows.length };
+      return {
+        model: forecast.model,
+        active: forecast.model.name === active.name && forecast.model.version === active.version,
+        ...result,
+        durationMs: Date.now() - started
+      };
+    });
+
+    const levels = results.map(result => result.riskLevel || result.heatStressLevel);
+    res.json({ success: true, areaId, kind, agree: new Set(levels).size <= 1, results });
+  } catch (err) {
+    console.error('Error comparing forecast models:', err);
+    res.status(500).json({ error: 'forecast_compare_failed', message: err.message });
+  }
+});
+
+// How well stored forecasts matched the pest levels observed afterwards.
+// Optional medium/high query values re-level the stored scores with other thresholds.
+app.get('/api/forecast-backtest', requireAuth, (req, res) => {
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    const areaId = req.query.areaId || farmLocations.farmAreaId(profile);
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 90));
+
+    let thresholds;
+    if (req.query.medium !== undefined || req.query.high !== undefined) {
+      thresholds = {
+        medium: req.query.medium !== undefined ? Number(req.query.medium) : analysis.RISK_THRESHOLDS.medium,
+        high: req.query.high !== undefined ? Number(req.query.high) : analysis.RISK_THRESHOLDS.high
+      };
+      if (!(thresholds.medium >= 0 && thresholds.high <= 1 && thresholds.medium < thresholds.high)) {
+        return res.status(400).json({ error: 'Thresholds must satisfy 0 <= medium < high <= 1' });
+      }
+    }
+
+    const report = forecastBacktest.backtestForecasts(req.session.username, areaId, db, { days, thresholds });
+    res.json({ success: true, ...report });
+  } catch (err) {
+    console.error('Error backtesting forecasts:', err);
+    res.status(500).json({ error: 'forecast_backtest_failed', message: err.message });
+  }
+});
+
 // Get user's submission history
 app.get('/api/submissions', requireAuth, (req, res) => {
   try {
@@ -402,15 +896,26 @@ app.get('/api/submissions', requireAuth, (req, res) => {
       rows = db.getUserImages.all(req.session.username, limit);
     }
 
+    const trapNames = {};
+    db.getUserTraps.all(req.session.username).forEach(trap => trapNames[trap.id] = trap.name);
+
     const submissions = rows.map(row => ({
       id: row.id,
       area_id: row.area_id,
+      trap_id: row.trap_id,
+      trap_name: row.trap_id ? trapNames[row.trap_id] || null : null,
       pest_amount: row.pest_amount,
       file_url: `/uploads/${path.basename(row.file_path)}`,
+      overlay_url: row.overlay_path ? `/uploads/${path.basename(row.overlay_path)}` : null,
       width: row.width,
       height: row.height,
       dark_pixel_ratio: row.dark_pixel_ratio,
       estimated_pest_count: row.estimated_pest_count,
+      raw_blob_count: row.raw_blob_count,
+      new_catch_count: row.new_catch_count,
+      corrected_count: row.corrected_count,
+      corrected_at: row.corrected_at,
+      class_counts: analysis.parseClassCounts(row.class_counts_json),
       created_at: row.created_at
     }));
     
@@ -425,6 +930,63 @@ app.get('/api/submissions', requireAuth, (req, res) => {
   }
 });
 
+// Correct the insect count of a submission (the analyzer's estimate is kept for audit)
+app.post('/api/submissions/:id/correction', requireAuth, (req, res) => {
+  try {
+    const imageId = parseInt(req.params.id, 10);
+    const { correctedCount, note } = req.body;
+    const count = Number(correctedCount);
+
+    if (correctedCount === undefined || correctedCount === null || correctedCount === '' || !Number.isInteger(count) || count < 0) {
+      return res.status(400).json({ error: 'correctedCount must be a whole number of 0 or more' });
+    }
+
+    const image = db.getUserImage.get(imageId, req.session.username);
+    if (!image) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const previousCount = image.corrected_count ?? image.estimated_pest_count;
+    const pestAmountCategory = analysis.categorizePestAmount(count, image.dark_pixel_ratio, analysis.parseClassCounts(image.class_counts_json));
+
+    db.insertCountCorrection.run(
+      image.id,
+      req.session.username,
+      image.estimated_pest_count,
+      previousCount,
+      image.pest_amount,
+      count,
+      note ? String(note).trim() : null
+    );
+    db.correctImageCount.run(count, pestAmountCategory, image.id, req.session.username);
+
+    // New catches of this trap photo and of the trap's next one follow the corrected count
+    if (image.trap_id) {
+      const corrected = db.getUserImage.get(image.id, req.session.username);
+      trapUploads.refreshNewCatch(db, corrected);
+      trapUploads.refreshNextTrapPhoto(db, corrected);
+    }
+
+    // Refresh the forecast with the corrected count
+    const forecast = trapUploads.refreshForecast(db, req.session.username, image.area_id);
+
+    // Re-fit this user's analyzer parameters in the background (the upload worker runs it)
+    calibration.requestCalibration(req.session.username, db);
+
+    res.json({
+      success: true,
+      id: image.id,
+      estimatedPestCount: image.estimated_pest_count,
+      correctedCount: count,
+      pestAmount: pestAmountCategory,
+      riskLevel: forecast.riskLevel
+    });
+  } catch (err) {
+    console.error('Error correcting submission count:', err);
+    res.status(500).json({ error: 'correction_failed', message: err.message });
+  }
+});
+
 // ----------------------------------------
 // Microclimate Data API Endpoints
 // ----------------------------------------
@@ -443,19 +1005,33 @@ app.post('/api/submit-microclimate', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'All values must be numbers' });
     }
     
-    // Get user's country from profile (this becomes the area)
+    // The farm's area (geohash cell of its location) and country from the profile
     let userCountry = 'Unknown Location';
+    let areaId = 'Unknown Location';
     try {
       const profile = db.getProfile.get(req.session.username);
       userCountry = profile?.country || 'Unknown Location';
+      areaId = farmLocations.farmAreaId(profile);
     } catch (err) {
       console.log('Profile not found for user:', req.session.username);
     }
     
-    const areaId = userCountry;
-    
-    // Compute heat stress level
-    const heatStressLevel = analysis.computeHeatStressLevel(airTemperature, soilTemperature, soilMoisture, relativeHumidity);
+    const reading = {
+      air_temperature: parseFloat(airTemperature),
+      soil_temperature: parseFloat(soilTemperature),
+      soil_moisture: parseFloat(soilMoisture),
+      relative_humidity: parseFloat(relativeHumidity)
+    };
+
+    // Sensor checks: a flagged reading is stored but left out of forecasts and community data
+    const quality = microclimateQuality.assessReading(db, req.session.username, areaId, reading);
+
+    // Compute heat stress score, level and indices, against the farm's crops and their growth stages.
+    // A flagged reading isn't scored: stress from values the sensor can't have measured means nothing
+    const heatStress = quality.flagged
+      ? { level: 'unknown', score: null, indices: { heatIndex: null, dewPoint: null, vapourPressureDeficit: null }, components: null }
+      : analysis.computeFarmHeatStress(reading, db.getUserCropsByArea.all(req.session.username, areaId));
+    const heatStressLevel = heatStress.level;
     
     // Insert microclimate data
     db.insertMicroclimate.run(
@@ -465,15 +1041,29 @@ app.post('/api/submit-microclimate', requireAuth, (req, res) => {
       parseFloat(soilTemperature),
       parseFloat(soilMoisture),
       parseFloat(relativeHumidity),
-      heatStressLevel
+      heatStressLevel,
+      heatStress.score,
+      heatStress.indices.heatIndex,
+      heatStress.indices.dewPoint,
+      heatStress.indices.vapourPressureDeficit,
+      JSON.stringify(quality.flags),
+      quality.flagged ? 1 : 0
     );
     
-    const advice = analysis.heatStressAdviceForLevel(heatStressLevel);
+    // Advice from the rules, per crop; after the insert so the trend includes this reading
+    const heatAdvice = quality.flagged ? { advice: null, crops: [] } : adviceRules.heatAdvice(db, req.session.username, areaId, heatStress);
+    const advice = heatAdvice.advice;
     
     res.json({
       success: true,
       heatStressLevel,
+      heatStressScore: heatStress.score,
+      indices: heatStress.indices,
+      scoreComponents: heatStress.components,
+      crops: heatAdvice.crops,
       advice,
+      qualityFlags: quality.flags,
+      flagged: quality.flagged,
       areaId,
       country: userCountry,
       values: {
@@ -511,6 +1101,12 @@ app.get('/api/microclimate-submissions', requireAuth, (req, res) => {
       soil_moisture: row.soil_moisture,
       relative_humidity: row.relative_humidity,
       heat_stress_level: row.heat_stress_level,
+      heat_stress_score: row.heat_stress_score,
+      heat_index: row.heat_index,
+      dew_point: row.dew_point,
+      vapour_pressure_deficit: row.vapour_pressure_deficit,
+      quality_flags: row.quality_flags_json ? JSON.parse(row.quality_flags_json) : [],
+      flagged: row.flagged === 1,
       created_at: row.created_at
     }));
     
@@ -534,32 +1130,33 @@ app.get('/api/heat-stress-forecast', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'areaId is required' });
     }
     
-    const rows = db.getRecentMicroclimateForForecast.all(req.session.username, areaId);
-    
     let overallStressLevel = 'minimal';
     let advice = 'No recent data available.';
     
-    if (rows.length > 0) {
-      // Calculate average heat stress level from recent data
-      const stressLevels = ['minimal', 'low', 'moderate', 'high', 'critical'];
-      const stressCounts = rows.map(row => stressLevels.indexOf(row.heat_stress_level));
-      const avgStressIndex = stressCounts.reduce((sum, level) => sum + level, 0) / stressCounts.length;
-      const roundedIndex = Math.round(avgStressIndex);
-      
-      overallStressLevel = stressLevels[Math.min(roundedIndex, stressLevels.length - 1)];
-      advice = analysis.heatStressAdviceForLevel(overallStressLevel);
+    // Stress score of the recent readings from the area's heat model, per crop if the farm has any
+    const { model, rows, summary } = forecastModels.runForecast(db, 'heat', req.session.username, areaId);
+    const heatAdvice = summary ? adviceRules.heatAdvice(db, req.session.username, areaId, summary) : null;
+    if (summary) {
+      overallStressLevel = summary.level;
+      advice = heatAdvice.advice;
     }
     
     res.json({
       success: true,
       areaId,
+      model,
       heatStressLevel: overallStressLevel,
+      heatStressScore: summary ? summary.score : null,
+      latestIndices: summary ? summary.latest.indices : null,
+      crops: summary ? heatAdvice.crops : [],
       advice,
       recentSubmissions: rows.length,
-      details: rows.slice(0, 5).map(row => ({
+      details: rows.slice(0, 5).map((row, index) => ({
         temperature: row.air_temperature,
         humidity: row.relative_humidity,
-        stressLevel: row.heat_stress_level
+        stressLevel: row.heat_stress_level,
+        stressScore: summary.readings[index].score,
+        indices: summary.readings[index].indices
       }))
     });
   } catch (err) {
@@ -577,7 +1174,7 @@ app.get('/api/community-pest-trend', requireAuth, (req, res) => {
   try {
     console.log('Community pest trend request from:', req.session.username);
     
-    // Get user's country from profile
+    // Get the user's farm location from profile
     const profile = db.getProfile.get(req.session.username);
     console.log('User profile:', profile);
     
@@ -590,17 +1187,25 @@ app.get('/api/community-pest-trend', requireAuth, (req, res) => {
       });
     }
     
-    const areaId = profile.country || 'Unknown Location';
-    console.log('Area ID for trend:', areaId);
+    const areaId = farmLocations.farmAreaId(profile);
+    // Farms within the radius (or area cell) around this farm; radiusKm and mode can override the defaults
+    const community = farmLocations.communityFor(profile, { radiusKm: req.query.radiusKm, mode: req.query.mode });
+    console.log('Community for trend:', community);
     
     const { type = 'recent' } = req.query; // 'recent' or 'all'
     
-    const trend = analysis.computeCommunityPestTrend(areaId, db, type);
+    // farmState (average or latest), weighting (equal or farm_size) and days can override the defaults
+    const trend = analysis.computeCommunityPestTrend(community, db, type, {
+      farmState: req.query.farmState,
+      weighting: req.query.weighting,
+      days: req.query.days
+    });
     console.log(`Computed pest trend (${type}):`, trend);
     
     res.json({
       success: true,
       areaId,
+      community: farmLocations.describeCommunity(community),
       trend,
       type,
       generatedAt: new Date().toISOString()
@@ -620,7 +1225,7 @@ app.get('/api/community-heat-trend', requireAuth, (req, res) => {
   try {
     console.log('Community heat stress trend request from:', req.session.username);
     
-    // Get user's country from profile
+    // Get the user's farm location from profile
     const profile = db.getProfile.get(req.session.username);
     console.log('User profile:', profile);
     
@@ -633,17 +1238,25 @@ app.get('/api/community-heat-trend', requireAuth, (req, res) => {
       });
     }
     
-    const areaId = profile.country || 'Unknown Location';
-    console.log('Area ID for trend:', areaId);
+    const areaId = farmLocations.farmAreaId(profile);
+    // Farms within the radius (or area cell) around this farm; radiusKm and mode can override the defaults
+    const community = farmLocations.communityFor(profile, { radiusKm: req.query.radiusKm, mode: req.query.mode });
+    console.log('Community for trend:', community);
     
     const { type = 'recent' } = req.query; // 'recent' or 'all'
     
-    const trend = analysis.computeCommunityHeatStressTrend(areaId, db, type);
+    // farmState (average or latest), weighting (equal or farm_size) and days can override the defaults
+    const trend = analysis.computeCommunityHeatStressTrend(community, db, type, {
+      farmState: req.query.farmState,
+      weighting: req.query.weighting,
+      days: req.query.days
+    });
     console.log(`Computed heat stress trend (${type}):`, trend);
     
     res.json({
       success: true,
       areaId,
+      community: farmLocations.describeCommunity(community),
       trend,
       type,
       generatedAt: new Date().toISOString()
@@ -666,32 +1279,16 @@ app.get('/api/community-pest-counts', requireAuth, (req, res) => {
     const profile = db.getProfile.get(req.session.username);
     console.log('Profile for counts:', profile);
     
-    const areaId = profile?.country;
-    console.log('Area ID for counts:', areaId);
+    const community = farmLocations.communityFor(profile, { radiusKm: req.query.radiusKm, mode: req.query.mode });
+    console.log('Community for counts:', community);
     
     const { type = 'recent' } = req.query; // 'recent' or 'all'
+    // Submissions of the last days (default by type)
+    const timeWindow = farmLocations.communityWindow(type, req.query.days);
     
-    let query;
-    let params = [];
-    
-    if (areaId) {
-      if (type === 'recent') {
-        query = `SELECT pest_amount FROM images WHERE area_id = ? ORDER BY created_at DESC LIMIT 50`;
-        params.push(areaId);
-      } else {
-        query = 'SELECT pest_amount FROM images WHERE area_id = ?';
-        params.push(areaId);
-      }
-    } else {
-      if (type === 'recent') {
-        query = 'SELECT pest_amount FROM images ORDER BY created_at DESC LIMIT 50';
-      } else {
-        query = 'SELECT pest_amount FROM images';
-      }
-    }
-    
-    console.log('Pest counts query:', query, 'params:', params, 'type:', type);
-    const rows = db.prepare(query).all(...params);
+    const rows = farmLocations.communityRows(db, 'images', community, {
+      columns: 't.pest_amount', where: 't.created_at >= ?', params: [timeWindow.since], limit: type === 'recent' ? 50 : null
+    });
     console.log(`Raw pest count rows (${type}):`, rows.length);
     
     const levelKeys = ['very_low', 'low', 'moderate', 'high', 'very_high'];
@@ -706,7 +1303,7 @@ app.get('/api/community-pest-counts', requireAuth, (req, res) => {
     });
     
     console.log(`Processed pest counts (${type}):`, counts);
-    res.json({ success: true, counts, type, totalSubmissions: rows.length });
+    res.json({ success: true, counts, type, days: timeWindow.days, community: farmLocations.describeCommunity(community), totalSubmissions: rows.length });
   } catch (err) {
     console.error('Error fetching community pest counts:', err);
     res.status(500).json({ 
@@ -725,32 +1322,16 @@ app.get('/api/community-heat-counts', requireAuth, (req, res) => {
     const profile = db.getProfile.get(req.session.username);
     console.log('Profile for counts:', profile);
     
-    const areaId = profile?.country;
-    console.log('Area ID for counts:', areaId);
+    const community = farmLocations.communityFor(profile, { radiusKm: req.query.radiusKm, mode: req.query.mode });
+    console.log('Community for counts:', community);
     
     const { type = 'recent' } = req.query; // 'recent' or 'all'
+    // Submissions of the last days (default by type)
+    const timeWindow = farmLocations.communityWindow(type, req.query.days);
     
-    let query;
-    let params = [];
-    
-    if (areaId) {
-      if (type === 'recent') {
-        query = `SELECT heat_stress_level FROM microclimate_data WHERE area_id = ? ORDER BY created_at DESC LIMIT 50`;
-        params.push(areaId);
-      } else {
-        query = 'SELECT heat_stress_level FROM microclimate_data WHERE area_id = ?';
-        params.push(areaId);
-      }
-    } else {
-      if (type === 'recent') {
-        query = 'SELECT heat_stress_level FROM microclimate_data ORDER BY created_at DESC LIMIT 50';
-      } else {
-        query = 'SELECT heat_stress_level FROM microclimate_data';
-      }
-    }
-    
-    console.log('Heat counts query:', query, 'params:', params, 'type:', type);
-    const rows = db.prepare(query).all(...params);
+    const rows = farmLocations.communityRows(db, 'microclimate_data', community, {
+      columns: 't.heat_stress_level', where: 't.flagged = 0 AND t.created_at >= ?', params: [timeWindow.since], limit: type === 'recent' ? 50 : null
+    });
     console.log(`Raw heat count rows (${type}):`, rows.length);
     
     const levelKeys = ['minimal', 'low', 'moderate', 'high', 'critical'];
@@ -765,7 +1346,7 @@ app.get('/api/community-heat-counts', requireAuth, (req, res) => {
     });
     
     console.log(`Processed heat counts (${type}):`, counts);
-    res.json({ success: true, counts, type, totalSubmissions: rows.length });
+    res.json({ success: true, counts, type, days: timeWindow.days, community: farmLocations.describeCommunity(community), totalSubmissions: rows.length });
   } catch (err) {
     console.error('Error fetching community heat counts:', err);
     res.status(500).json({ 
@@ -776,6 +1357,97 @@ app.get('/api/community-heat-counts', requireAuth, (req, res) => {
   }
 });
 
+// Community pest or heat stress levels in daily and weekly buckets over a date range
+// (from/to as YYYY-MM-DD, default the last 28 days), with week-over-week direction
+app.get('/api/community-trend-series', requireAuth, (req, res) => {
+  const { kind = 'pest' } = req.query;
+  if (!communityAnalysis.SERIES_KINDS[kind]) {
+    return res.status(400).json({ error: 'kind must be "pest" or "heat"' });
+  }
+  const range = parseDateRange(req.query, 28);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const { fromMs, toMs } = range;
+
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    if (!profile) {
+      return res.status(400).json({ error: 'User profile not found' });
+    }
+    const community = farmLocations.communityFor(profile, { radiusKm: req.query.radiusKm, mode: req.query.mode });
+    const series = communityAnalysis.computeCommunityTrendSeries(community, db, kind, fromMs, toMs, {
+      farmState: req.query.farmState,
+      weighting: req.query.weighting
+    });
+    res.json({
+      success: true,
+      areaId: farmLocations.farmAreaId(profile),
+      community: farmLocations.describeCommunity(community),
+      ...series,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('Error computing community trend series:', err);
+    res.status(500).json({ error: 'trend_series_failed', message: err.message });
+  }
+});
+
+// Regional risk map layer: GeoJSON grid cells with the pest and heat stress levels of their farms
+// over a date range (from/to as YYYY-MM-DD, default the last 7 days). precision is the geohash
+// length of the cells (2 coarse to 6 fine, default the area cells).
+app.get('/api/map/risk-layer', requireAuth, (req, res) => {
+  const range = parseDateRange(req.query, 7);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const precision = req.query.precision === undefined ? farmLocations.AREA_GEOHASH_PRECISION : Number(req.query.precision);
+  if (!Number.isInteger(precision) || precision < mapLayer.MIN_PRECISION || precision > mapLayer.MAX_PRECISION) {
+    return res.status(400).json({ error: `precision must be a whole number from ${mapLayer.MIN_PRECISION} to ${mapLayer.MAX_PRECISION}` });
+  }
+
+  try {
+    // Whole UTC days, the range's last day included
+    const dayMs = 24 * 60 * 60 * 1000;
+    const fromMs = Math.floor(range.fromMs / dayMs) * dayMs;
+    const toMs = Math.floor(range.toMs / dayMs) * dayMs + dayMs;
+    const layer = mapLayer.buildRiskLayer(db, fromMs, toMs, {
+      precision,
+      farmState: req.query.farmState,
+      weighting: req.query.weighting
+    });
+    res.type('application/geo+json').json(layer);
+  } catch (err) {
+    console.error('Error building risk map layer:', err);
+    res.status(500).json({ error: 'risk_layer_failed', message: err.message });
+  }
+});
+
+// Outbreak alerts of the farm's community: active ones (status=active), or with the past
+// ones started in the last `days` (status=all)
+app.get('/api/alerts', requireAuth, (req, res) => {
+  const { status = 'active' } = req.query;
+  if (!['active', 'all'].includes(status)) {
+    return res.status(400).json({ error: 'status must be "active" or "all"' });
+  }
+  try {
+    const profile = db.getProfile.get(req.session.username);
+    if (!profile) {
+      return res.json({ success: true, alerts: [] });
+    }
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 90));
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+    const rows = status === 'active' ? db.getActiveOutbreakAlerts.all() : db.getOutbreakAlertsSince.all(since);
+    const community = farmLocations.communityFor(profile);
+    const alerts = outbreakAlerts.alertsForCommunity(rows, community)
+      .map(row => outbreakAlerts.alertFromRow(row, req.session.username));
+    res.json({ success: true, areaId: farmLocations.farmAreaId(profile), community: farmLocations.describeCommunity(community), alerts });
+  } catch (err) {
+    console.error('Error getting outbreak alerts:', err);
+    res.status(500).json({ error: 'alerts_failed', message: err.message });
+  }
+});
+
 // ----------------------------------------
 // Social Feed API Endpoints
 // ----------------------------------------
@@ -783,51 +1455,62 @@ app.get('/api/community-heat-counts', requireAuth, (req, res) => {
 // Post a forecast snapshot to social feed
 app.post('/api/post-forecast', requireAuth, async (req, res) => {
   try {
-    const { postType, postText } = req.body; // 'pest' or 'heat'
+    const { postType, postText } = req.body; // 'pest', 'heat' or 'pest_climate'
     
-    if (!postType || (postType !== 'pest' && postType !== 'heat')) {
-      return res.status(400).json({ error: 'Invalid post type. Must be "pest" or "heat"' });
+    if (!['pest', 'heat', 'pest_climate'].includes(postType)) {
+      return res.status(400).json({ error: 'Invalid post type. Must be "pest", "heat" or "pest_climate"' });
     }
 
     // Get user profile for real name
     const profile = db.getProfile.get(req.session.username);
     const realName = profile?.realName || req.session.username;
-    const areaId = profile?.country || 'Unknown Location';
+    const areaId = farmLocations.farmAreaId(profile);
 
     let forecastLevel, forecastDescription, snapshotData;
 
     if (postType === 'pest') {
       // Get current pest forecast snapshot
-      const forecast = analysis.computeForecastForArea(req.session.username, areaId, db);
+      const forecast = forecastModels.runForecast(db, 'pest', req.session.username, areaId);
       forecastLevel = forecast.riskLevel;
       forecastDescription = `Pest Risk: ${forecast.riskLevel.toUpperCase()}`;
       snapshotData = JSON.stringify({
+        model: forecast.model,
         riskLevel: forecast.riskLevel,
         riskScore: forecast.riskScore,
         details: forecast.details,
         timestamp: new Date().toISOString()
       });
+    } else if (postType === 'pest_climate') {
+      // Pest risk adjusted for the recent climate, with the reasons
+      const forecast = pestClimate.computePestClimateRisk(req.session.username, areaId, db);
+      forecastLevel = forecast.riskLevel;
+      forecastDescription = `Pest + Climate Risk: ${forecast.riskLevel.toUpperCase()}`;
+      snapshotData = JSON.stringify({
+        riskLevel: forecast.riskLevel,
+        riskScore: forecast.riskScore,
+        baseRiskLevel: forecast.baseRiskLevel,
+        climateMultiplier: forecast.climateMultiplier,
+        climate: forecast.climate,
+        explanations: forecast.explanations.map(item => item.text),
+        timestamp: new Date().toISOString()
+      });
     } else {
-      // Get current heat stress forecast snapshot
-      const rows = db.getRecentMicroclimateForForecast.all(req.session.username, areaId);
+      // Get current heat stress forecast snapshot (same model as the heat stress forecast API)
+      const { model, rows, summary } = forecastModels.runForecast(db, 'heat', req.session.username, areaId);
       
-      if (rows.length === 0) {
+      if (!summary) {
         return res.status(400).json({ error: 'No microclimate data available to post' });
       }
 
-      // Calculate overall heat stress forecast (similar to heat stress forecast API)
-      const stressLevels = ['minimal', 'low', 'moderate', 'high', 'critical'];
-      const stressCounts = rows.map(row => stressLevels.indexOf(row.heat_stress_level));
-      const avgStressIndex = stressCounts.reduce((sum, level) => sum + level, 0) / stressCounts.length;
-      const roundedIndex = Math.round(avgStressIndex);
-      
-      const overallStressLevel = stressLevels[Math.min(roundedIndex, stressLevels.length - 1)];
-      const advice = analysis.heatStressAdviceForLevel(overallStressLevel);
+      const overallStressLevel = summary.level;
+      const advice = adviceRules.heatAdvice(db, req.session.username, areaId, summary).advice;
       
       forecastLevel = overallStressLevel;
       forecastDescription = `Heat Stress: ${overallStressLevel.toUpperCase()}`;
       snapshotData = JSON.stringify({
+        model,
         heatStressLevel: overallStressLevel,
+        heatStressScore: summary.score,
         advice: advice,
         recentSubmissions: rows.length,
         averageData: {
@@ -940,6 +1623,165 @@ app.post('/api/post-comment', requireAuth, async (req, res) => {
   }
 });
 
+// ----------------------------------------
+// Admin API Endpoints
+// ----------------------------------------
+
+// Re-run the current analyzer over stored trap images and recompute affected forecasts.
+// Dry run unless dryRun: false is sent. all: true also redoes rows already on the current version.
+app.post('/api/admin/reprocess', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const report = await reprocess.reprocessImages(db, {
+      dryRun: req.body.dryRun !== false,
+      all: req.body.all === true,
+      username: req.body.username || null
+    });
+    res.json({ success: true, report });
+  } catch (err) {
+    console.error('Error reprocessing images:', err);
+    res.status(500).json({ error: 'reprocess_failed', message: err.message });
+  }
+});
+
+// Forecast model of an area: model is a name or name@version; null goes back to the deployment default
+app.put('/api/admin/forecast-models/:kind', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const kind = req.params.kind;
+    const { areaId, model } = req.body;
+    if (!forecastModels.KINDS.includes(kind)) {
+      return res.status(400).json({ error: 'kind must be "pest" or "heat"' });
+    }
+    if (!areaId) {
+      return res.status(400).json({ error: 'areaId is required' });
+    }
+
+    if (model === null || model === undefined || model === '') {
+      db.deleteForecastModelSetting.run(areaId, kind);
+    } else {
+      const setting = forecastModels.parseModelSetting(model);
+      if (!forecastModels.findModel(kind, setting.name, setting.version)) {
+        return res.status(400).json({ error: `Unknown ${kind} model: ${model}` });
+      }
+      db.upsertForecastModelSetting.run(areaId, kind, setting.name, setting.version, req.session.username);
+    }
+
+    const { model: active, source } = forecastModels.activeModel(db, kind, areaId);
+    res.json({ success: true, areaId, kind, active: { name: active.name, version: active.version, source } });
+  } catch (err) {
+    console.error('Error setting forecast model:', err);
+    res.status(500).json({ error: 'forecast_model_failed', message: err.message });
+  }
+});
+
+app.get('/api/admin/forecast-models', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const settings = db.getForecastModelSettings.all().map(row => ({
+      areaId: row.area_id,
+      kind: row.kind,
+      model: row.model_version ? `${row.model_name}@${row.model_version}` : row.model_name,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    }));
+    res.json({ success: true, settings });
+  } catch (err) {
+    console.error('Error fetching forecast model settings:', err);
+    res.status(500).json({ error: 'forecast_models_failed', message: err.message });
+  }
+});
+
+// Advice rules (advice-rules.js): list, create, edit, delete and preview
+app.get('/api/admin/advice-rules', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const rules = db.getAdviceRules.all().map(adviceRules.ruleFromRow)
+      .filter(rule => !req.query.topic || rule.topic === req.query.topic);
+    res.json({ success: true, rules });
+  } catch (err) {
+    console.error('Error fetching advice rules:', err);
+    res.status(500).json({ error: 'advice_rules_failed', message: err.message });
+  }
+});
+
+app.post('/api/admin/advice-rules', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { rule, error } = adviceRules.parseRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const result = db.createAdviceRule.run(rule.name, rule.topic, rule.priority, JSON.stringify(rule.conditions), JSON.stringify(rule.actions),
+      rule.stop ? 1 : 0, rule.enabled ? 1 : 0, req.session.username);
+    res.json({ success: true, rule: adviceRules.ruleFromRow(db.getAdviceRule.get(result.lastInsertRowid)) });
+  } catch (err) {
+    console.error('Error creating advice rule:', err);
+    res.status(500).json({ error: 'advice_rule_failed', message: err.message });
+  }
+});
+
+// Fields left out keep their stored values
+app.put('/api/admin/advice-rules/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const row = db.getAdviceRule.get(req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Advice rule not found' });
+    }
+    const { rule, error } = adviceRules.parseRule(req.body, adviceRules.ruleFromRow(row));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    db.updateAdviceRule.run(rule.name, rule.topic, rule.priority, JSON.stringify(rule.conditions), JSON.stringify(rule.actions),
+      rule.stop ? 1 : 0, rule.enabled ? 1 : 0, req.session.username, row.id);
+    res.json({ success: true, rule: adviceRules.ruleFromRow(db.getAdviceRule.get(row.id)) });
+  } catch (err) {
+    console.error('Error updating advice rule:', err);
+    res.status(500).json({ error: 'advice_rule_failed', message: err.message });
+  }
+});
+
+app.delete('/api/admin/advice-rules/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const result = db.deleteAdviceRule.run(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Advice rule not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting advice rule:', err);
+    res.status(500).json({ error: 'advice_rule_delete_failed', message: err.message });
+  }
+});
+
+// Advice a farm (username, areaId; the admin's own farm by default) gets now, and with an
+// unsaved rule added (or replacing the stored rule with its id) when one is sent
+app.post('/api/admin/advice-rules/preview', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const username = req.body.username || req.session.username;
+    const profile = db.getProfile.get(username);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const areaId = req.body.areaId || farmLocations.farmAreaId(profile);
+
+    const stored = db.getAdviceRules.all().map(adviceRules.ruleFromRow);
+    const current = adviceRules.previewAdvice(db, username, areaId, stored);
+    if (!req.body.rule) {
+      return res.json({ success: true, username, areaId, current });
+    }
+
+    const existing = req.body.rule.id ? stored.find(rule => rule.id === Number(req.body.rule.id)) : null;
+    if (req.body.rule.id && !existing) {
+      return res.status(404).json({ error: 'Advice rule not found' });
+    }
+    const { rule, error } = adviceRules.parseRule(req.body.rule, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const withRule = adviceRules.previewAdvice(db, username, areaId, stored.filter(other => other.id !== rule.id).concat(rule));
+    res.json({ success: true, username, areaId, current, withRule });
+  } catch (err) {
+    console.error('Error previewing advice rules:', err);
+    res.status(500).json({ error: 'advice_preview_failed', message: err.message });
+  }
+});
+
 // Start server for localhost
 const PORT = process.env.PORT || 3000;
 const server = app.listen(PORT, '0.0.0.0', () => {
@@ -947,6 +1789,12 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log('Press Ctrl+C to stop the server');
 });
 
+// Work through queued batch uploads in the background
+uploadWorker.startUploadWorker(db);
+
+// Watch each area for community outbreaks in the background
+outbreakAlerts.startOutbreakDetector(db);
+
 // Graceful shutdown on Ctrl+C
 process.on('SIGINT', () => {
   console.log('\nReceived SIGINT (Ctrl+C). Shutting down gracefully...');
@@ -0,0 +1,178 @@
+// Irrigation recommendations from soil moisture and evapotranspiration
+// Reference evapotranspiration (ET0) comes from the daily mean air temperature and humidity of
+// the farm's recent readings (Romanenko method; no radiation or wind data is collected). Each
+// crop's water use is ET0 times its stage's crop coefficient. Soil moisture (volumetric %) is
+// expected to fall at the measured trend, or at the crop's water use over its root zone when
+// there is no usable trend, and irrigation is due when it reaches the stage's stress point.
+// Rain is not known, so the schedule assumes none.
+
+const heatIndices = require('./heat-indices');
+const cropProfiles = require('./crop-profiles');
+
+const WINDOW_DAYS = 7; // readings used for ET0 and the moisture trend
+const SCHEDULE_DAYS = 7; // how far ahead irrigations are planned
+const MIN_TREND_READINGS = 3;
+const MIN_TREND_SPAN_DAYS = 1;
+const REFILL_ABOVE_STRESS = 12; // irrigate up to this many points above the stress point
+const IRRIGATION_EFFICIENCY = 0.8; // share of applied water that reaches the root zone
+const ACRES_TO_HECTARES = 0.404686; // profiles.farm_size is in acres
+const DEFAULT_STAGE = {
+  cropCoefficient: 1.0,
+  rootDepthCm: 30,
+  soilMoisture: [heatIndices.SCORE_PARTS.soilMoisture.from, heatIndices.SCORE_PARTS.soilMoisture.to]
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dbTimeMs(value) {
+  return Date.parse(String(value).replace(' ', 'T') + 'Z');
+}
+
+function dayString(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+// Romanenko reference evapotranspiration in mm/day from mean air temperature and humidity
+function romanenkoEt0(airTemperature, relativeHumidity) {
+  return Math.max(0, 0.0018 * (25 + airTemperature) ** 2 * (100 - relativeHumidity) / 30);
+}
+
+// Mean daily ET0 over the days that have readings
+function referenceEvapotranspiration(readings) {
+  const days = new Map();
+  readings.forEach(reading => {
+    const day = String(reading.created_at).slice(0, 10);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(reading);
+  });
+  const daily = [...days.values()].map(dayReadings => romanenkoEt0(
+    dayReadings.reduce((sum, r) => sum + r.air_temperature, 0) / dayReadings.length,
+    dayReadings.reduce((sum, r) => sum + r.relative_humidity, 0) / dayReadings.length
+  ));
+  return daily.reduce((sum, value) => sum + value, 0) / daily.length;
+}
+
+// Least-squares soil moisture change in % per day, or null without enough readings
+function moistureTrend(readings) {
+  if (readings.length < MIN_TREND_READINGS) return null;
+  const points = readings.map(r => ({ t: dbTimeMs(r.created_at) / DAY_MS, y: r.soil_moisture }));
+  const span = points[points.length - 1].t - points[0].t;
+  if (span < MIN_TREND_SPAN_DAYS) return null;
+  const meanT = points.reduce((sum, p) => sum + p.t, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const sxx = points.reduce((sum, p) => sum + (p.t - meanT) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.t - meanT) * (p.y - meanY), 0);
+  return sxx > 0 ? sxy / sxx : null;
+}
+
+// Irrigation events for one crop (or the farm without crops) over SCHEDULE_DAYS
+function planFor(stage, et0, latest, trend, nowMs, hectares) {
+  const cropCoefficient = stage.cropCoefficient || DEFAULT_STAGE.cropCoefficient;
+  const rootDepthMm = (stage.rootDepthCm || DEFAULT_STAGE.rootDepthCm) * 10;
+  const stressPoint = (stage.soilMoisture || DEFAULT_STAGE.soilMoisture)[0];
+  const target = Math.min(100, stressPoint + REFILL_ABOVE_STRESS);
+  const etc = et0 * cropCoefficient;
+
+  // Drying rate in % per day: the measured trend when the soil is drying, else water use over the root zone
+  const etcRate = (etc / rootDepthMm) * 100;
+  const measured = trend !== null && trend < 0;
+  const depletionPerDay = measured ? -trend : etcRate;
+
+  const daysSinceReading = Math.max(0, (nowMs - dbTimeMs(latest.created_at)) / DAY_MS);
+  const estimatedNow = Math.max(0, latest.soil_moisture - depletionPerDay * daysSinceReading);
+
+  const event = (atMs, fromMoisture) => {
+    const netMm = Math.max(0, (target - fromMoisture) / 100 * rootDepthMm);
+    const grossMm = netMm / IRRIGATION_EFFICIENCY;
+    return {
+      date: dayString(atMs),
+      inDays: round((atMs - nowMs) / DAY_MS, 1),
+      netMm: round(netMm, 1),
+      grossMm: round(grossMm, 1),
+      m3PerHectare: round(grossMm * 10, 1), // 1 mm over a hectare is 10 m3
+      farmM3: hectares ? round(grossMm * 10 * hectares, 1) : null
+    };
+  };
+
+  const schedule = [];
+  if (depletionPerDay > 0) {
+    const firstInDays = Math.max(0, (estimatedNow - stressPoint) / depletionPerDay);
+    const intervalDays = Math.max(1, (target - stressPoint) / depletionPerDay);
+    for (let day = firstInDays; day <= SCHEDULE_DAYS; day += intervalDays) {
+      schedule.push(event(nowMs + day * DAY_MS, schedule.length === 0 ? Math.min(estimatedNow, stressPoint) : stressPoint));
+    }
+  } else if (estimatedNow <= stressPoint) {
+    schedule.push(event(nowMs, estimatedNow));
+  }
+
+  return {
+    cropCoefficient,
+    rootDepthCm: rootDepthMm / 10,
+    etcMmPerDay: round(etc, 2),
+    stressPoint,
+    target,
+    estimatedMoistureNow: round(estimatedNow, 1),
+    depletionPerDay: round(depletionPerDay, 2),
+    depletionSource: measured ? 'measured_trend' : 'evapotranspiration',
+    nextIrrigation: schedule[0] || null,
+    schedule
+  };
+}
+
+// Irrigation plan for a farm (user + area).
+// options: { crops (db rows), farmSizeAcres (profiles.farm_size), asOf }
+function recommendIrrigation(username, areaId, db, options = {}) {
+  const nowMs = options.asOf ? dbTimeMs(options.asOf) : Date.now();
+  const since = new Date(nowMs - WINDOW_DAYS * DAY_MS).toISOString().replace('T', ' ').slice(0, 19);
+  const readings = db.prepare(`SELECT air_temperature, soil_moisture, relative_humidity, created_at FROM microclimate_data
+                               WHERE username = ? AND area_id = ? AND created_at >= ? AND flagged = 0
+                               ORDER BY created_at ASC`).all(username, areaId, since);
+  if (readings.length === 0) {
+    return { areaId, readings: 0, reason: 'no_recent_readings', plans: [] };
+  }
+
+  const et0 = referenceEvapotranspiration(readings);
+  const trend = moistureTrend(readings);
+  const latest = readings[readings.length - 1];
+  const hectares = Number(options.farmSizeAcres) > 0 ? Number(options.farmSizeAcres) * ACRES_TO_HECTARES : null;
+
+  const profiles = cropProfiles.loadCropProfiles();
+  const crops = (options.crops || []).map(crop => {
+    const profile = profiles[crop.crop_key];
+    const current = profile ? cropProfiles.growthStage(profile, crop.planting_date, nowMs) : null;
+    return current ? { crop, profile, stage: current.stage } : null;
+  }).filter(Boolean);
+
+  // Whole-farm volumes only with a single crop; the area under each of several crops isn't known
+  const plans = crops.length === 0
+    ? [{ cropId: null, cropName: null, stage: null, ...planFor(DEFAULT_STAGE, et0, latest, trend, nowMs, hectares) }]
+    : crops.map(({ crop, profile, stage }) => ({
+      cropId: crop.id,
+      cropName: profile.name,
+      stage: stage.name,
+      ...planFor(stage, et0, latest, trend, nowMs, crops.length === 1 ? hectares : null)
+    }));
+
+  return {
+    areaId,
+    readings: readings.length,
+    et0MmPerDay: round(et0, 2),
+    et0Method: 'romanenko',
+    soilMoisture: {
+      latest: latest.soil_moisture,
+      latestAt: latest.created_at,
+      trendPerDay: trend === null ? null : round(trend, 2)
+    },
+    farmSizeHectares: hectares === null ? null : round(hectares, 2),
+    irrigationEfficiency: IRRIGATION_EFFICIENCY,
+    plans
+  };
+}
+
+module.exports = {
+  romanenkoEt0,
+  recommendIrrigation
+};
@@ -0,0 +1,99 @@
+// Regional risk map layer
+// Pest and heat stress levels of farms aggregated into geohash grid cells as GeoJSON, for a time
+// window. Levels are per farm first, as in the community trends (community-analysis.js), on the
+// same 0-4 scales. A cell (or one layer of it) with fewer than MAP_MIN_CELL_FARMS farms is left
+// out so a single farm's data can't be picked out. Farms placed at their country's centroid have
+// no real position and aren't mapped.
+
+const communityAnalysis = require('./community-analysis');
+const farmLocations = require('./farm-locations');
+
+const MIN_CELL_FARMS = Number(process.env.MAP_MIN_CELL_FARMS) > 0 ? Number(process.env.MAP_MIN_CELL_FARMS) : 3;
+const MIN_PRECISION = 2;
+const MAX_PRECISION = 6;
+
+function sqliteTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Rows of a kind in the window from farms with their own location, with the farm's geohash
+function mappedRows(db, kind, fromMs, toMs) {
+  const config = communityAnalysis.SERIES_KINDS[kind];
+  return db.prepare(`SELECT ${config.columns}, t.username, p.geohash
+                     FROM ${config.table} t JOIN profiles p ON p.username = t.username
+                     WHERE p.geohash IS NOT NULL AND p.location_source = 'farm'
+                       AND t.created_at >= ? AND t.created_at < ?${config.where ? ` AND ${config.where}` : ''}
+                     ORDER BY t.created_at DESC`).all(sqliteTime(fromMs), sqliteTime(toMs));
+}
+
+// One layer of a cell: { level, levelName, farms, submissions }, or null with too few farms
+function cellLayer(rows, kind, aggregation) {
+  const config = communityAnalysis.SERIES_KINDS[kind];
+  const farms = communityAnalysis.farmStates(rows, { level: config.levelOf }, aggregation);
+  if (farms.length < MIN_CELL_FARMS) return null;
+  const level = communityAnalysis.weightedMean(farms, 'level');
+  return {
+    level: Number(level.toFixed(2)),
+    levelName: config.levels[Math.round(level)],
+    farms: farms.length,
+    submissions: rows.length
+  };
+}
+
+function cellPolygon(cell) {
+  const { south, west, north, east } = farmLocations.geohashBounds(cell);
+  return { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] };
+}
+
+// GeoJSON FeatureCollection of the cells at this geohash precision, with metadata about the
+// window and how many cells were suppressed. options: { precision, farmState, weighting }
+function buildRiskLayer(db, fromMs, toMs, options = {}) {
+  const precision = options.precision || farmLocations.AREA_GEOHASH_PRECISION;
+  const aggregation = communityAnalysis.aggregationOptions(options);
+  const kinds = Object.keys(communityAnalysis.SERIES_KINDS);
+
+  const cells = new Map();
+  kinds.forEach(kind => {
+    mappedRows(db, kind, fromMs, toMs).forEach(row => {
+      const cell = row.geohash.slice(0, precision);
+      if (!cells.has(cell)) cells.set(cell, { farms: new Set(), rows: Object.fromEntries(kinds.map(name => [name, []])) });
+      cells.get(cell).farms.add(row.username);
+      cells.get(cell).rows[kind].push(row);
+    });
+  });
+
+  const features = [];
+  let suppressedCells = 0;
+  [...cells.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([cell, data]) => {
+    const layers = Object.fromEntries(kinds.map(kind => [kind, cellLayer(data.rows[kind], kind, aggregation)]));
+    if (data.farms.size < MIN_CELL_FARMS || kinds.every(kind => layers[kind] === null)) {
+      suppressedCells++;
+      return;
+    }
+    features.push({
+      type: 'Feature',
+      id: cell,
+      geometry: cellPolygon(cell),
+      properties: { cell, farms: data.farms.size, ...layers }
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    metadata: {
+      from: sqliteTime(fromMs),
+      to: sqliteTime(toMs),
+      precision,
+      minFarms: MIN_CELL_FARMS,
+      suppressedCells,
+      levels: Object.fromEntries(kinds.map(kind => [kind, communityAnalysis.SERIES_KINDS[kind].levels]))
+    }
+  };
+}
+
+module.exports = {
+  MIN_PRECISION,
+  MAX_PRECISION,
+  buildRiskLayer
+};
@@ -0,0 +1,134 @@
+// Microclimate reading quality checks
+// Every submitted reading is stored, but one that fails a check is flagged and left out of
+// forecasts and community aggregates. Flags are '<check>:<field>' strings; a WARNING_CHECKS flag
+// is reported to the farmer but doesn't exclude the reading:
+//   out_of_range     physically impossible value for the sensor
+//   sudden_change    moved faster than the weather can since the farm's last good reading
+//                    (and since its previous reading, so a confirmed step change is accepted)
+//   stuck            same value as the farm's last STUCK_READINGS - 1 readings, over at least
+//                    STUCK_MIN_HOURS (a warning: hand-entered values often repeat)
+//   farm_outlier     far outside the farm's own recent readings (robust z-score)
+//   area_outlier     far outside other farms' readings in the area over the last 48 hours
+
+const FIELDS = ['air_temperature', 'soil_temperature', 'soil_moisture', 'relative_humidity'];
+
+// Plausible sensor ranges
+const RANGES = {
+  air_temperature: [-20, 60],
+  soil_temperature: [-10, 60],
+  soil_moisture: [0, 100],
+  relative_humidity: [0, 100]
+};
+
+// Largest believable change per hour, and at most over any gap
+const MAX_CHANGE = {
+  air_temperature: { perHour: 8, max: 25 },
+  soil_temperature: { perHour: 4, max: 15 },
+  soil_moisture: { perHour: 30, max: 60 }, // irrigation wets the soil fast
+  relative_humidity: { perHour: 35, max: 70 }
+};
+
+const STUCK_READINGS = 5;
+const STUCK_MIN_HOURS = 24;
+const WARNING_CHECKS = ['stuck'];
+const OUTLIER_Z = 4;
+const FARM_HISTORY_DAYS = 30;
+const MIN_FARM_HISTORY = 8;
+const AREA_WINDOW_HOURS = 48;
+const MIN_AREA_READINGS = 5;
+const MIN_AREA_FARMS = 2;
+const AREA_FIELDS = ['air_temperature', 'relative_humidity']; // soil depends on the farm's own management
+// Smallest spread used for z-scores, so a very steady history doesn't flag normal noise
+const MIN_SPREAD = {
+  air_temperature: 1.5,
+  soil_temperature: 1,
+  soil_moisture: 4,
+  relative_humidity: 5
+};
+const HOUR_MS = 60 * 60 * 1000;
+
+function dbTimeMs(value) {
+  return Date.parse(String(value).replace(' ', 'T') + 'Z');
+}
+
+function dbTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Robust z-score of value against a sample: distance from the median in scaled MADs
+function robustZ(value, sample, minSpread) {
+  const center = median(sample);
+  const mad = median(sample.map(v => Math.abs(v - center))) * 1.4826;
+  return (value - center) / Math.max(mad, minSpread);
+}
+
+function rangeFlags(reading) {
+  return FIELDS.filter(field => {
+    const value = reading[field];
+    return !Number.isFinite(value) || value < RANGES[field][0] || value > RANGES[field][1];
+  }).map(field => `out_of_range:${field}`);
+}
+
+function changeTooFast(field, value, previous, nowMs) {
+  if (!previous) return false;
+  const hours = Math.max(0, (nowMs - dbTimeMs(previous.created_at)) / HOUR_MS);
+  const allowed = Math.min(MAX_CHANGE[field].max, MAX_CHANGE[field].perHour * Math.max(1, hours));
+  return Math.abs(value - previous[field]) > allowed;
+}
+
+// Checks a new reading ({ air_temperature, soil_temperature, soil_moisture, relative_humidity })
+// against the farm's history and the area. Returns { flags, flagged }.
+function assessReading(db, username, areaId, reading, nowMs = Date.now()) {
+  const flags = rangeFlags(reading);
+  const outOfRange = new Set(flags.map(flag => flag.split(':')[1]));
+  const checkable = FIELDS.filter(field => !outOfRange.has(field));
+
+  // Farm history, newest first
+  const history = db.getRecentFarmMicroclimate.all(username, areaId, dbTime(nowMs - FARM_HISTORY_DAYS * 24 * HOUR_MS));
+  const good = history.filter(row => !row.flagged);
+  const lastGood = good[0] || null;
+  const previous = history[0] || null;
+
+  checkable.forEach(field => {
+    const value = reading[field];
+
+    if (changeTooFast(field, value, lastGood, nowMs) && (previous === lastGood || changeTooFast(field, value, previous, nowMs))) {
+      flags.push(`sudden_change:${field}`);
+    }
+
+    const recent = history.slice(0, STUCK_READINGS - 1);
+    if (recent.length === STUCK_READINGS - 1 && recent.every(row => row[field] === value) &&
+        nowMs - dbTimeMs(recent[recent.length - 1].created_at) >= STUCK_MIN_HOURS * HOUR_MS) {
+      flags.push(`stuck:${field}`);
+    }
+
+    if (good.length >= MIN_FARM_HISTORY && Math.abs(robustZ(value, good.map(row => row[field]), MIN_SPREAD[field])) > OUTLIER_Z) {
+      flags.push(`farm_outlier:${field}`);
+    }
+  });
+
+  // Other farms in the area right now
+  const area = db.getRecentAreaMicroclimate.all(areaId, username, dbTime(nowMs - AREA_WINDOW_HOURS * HOUR_MS));
+  if (area.length >= MIN_AREA_READINGS && new Set(area.map(row => row.username)).size >= MIN_AREA_FARMS) {
+    AREA_FIELDS.filter(field => checkable.includes(field)).forEach(field => {
+      if (Math.abs(robustZ(reading[field], area.map(row => row[field]), MIN_SPREAD[field])) > OUTLIER_Z) {
+        flags.push(`area_outlier:${field}`);
+      }
+    });
+  }
+
+  return { flags, flagged: flags.some(flag => !WARNING_CHECKS.includes(flag.split(':')[0])) };
+}
+
+module.exports = {
+  FIELDS,
+  RANGES,
+  rangeFlags,
+  assessReading
+};
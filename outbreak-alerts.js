@@ -0,0 +1,188 @@
+// Community outbreak alerts
+// A background detector checks each farm area (geohash cell) every OUTBREAK_CHECK_MINUTES for a
+// surge in pest or heat stress levels: the last WINDOW_DAYS against the BASELINE_DAYS before.
+// An alert needs both a significant rise of the area's submissions (Mann-Whitney, as in the
+// trend series, on each farm's latest TEST_SUBMISSIONS_PER_FARM per period so a farm that submits
+// often can't carry the test) and MIN_RISING_FARMS farms whose own level rose, so one noisy farm
+// can't raise it. An active alert is updated while the surge lasts and resolved once the area's level is
+// back near its baseline, or nobody has submitted in the window.
+
+const communityAnalysis = require('./community-analysis');
+const farmLocations = require('./farm-locations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = (Number(process.env.OUTBREAK_CHECK_MINUTES) > 0 ? Number(process.env.OUTBREAK_CHECK_MINUTES) : 15) * 60 * 1000;
+const WINDOW_DAYS = 3;
+const BASELINE_DAYS = 14;
+const MIN_RISING_FARMS = 3;
+const MIN_FARM_RISE = 1; // levels above the farm's own baseline (or the area's, for a new farm)
+const MIN_BASELINE_SUBMISSIONS = 5;
+const TEST_SUBMISSIONS_PER_FARM = 3;
+const SIGNIFICANCE_LEVEL = 0.05;
+const RESOLVE_MARGIN = 0.5; // levels above the alert's baseline that count as back to normal
+const SEVERITIES = ['moderate', 'high', 'critical'];
+const FARM_AGGREGATION = { farmState: 'average', weighting: 'equal' };
+
+let db = null;
+let timer = null;
+
+function sqliteTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function severityFor(level) {
+  if (level >= 3.5) return 'critical';
+  if (level >= 2.5) return 'high';
+  return 'moderate';
+}
+
+// The area's levels now against its baseline. Returns { triggered, risingFarms, currentLevel,
+// baselineLevel, pValue, submissions }.
+function assessArea(database, areaId, kind, nowMs = Date.now()) {
+  const config = communityAnalysis.SERIES_KINDS[kind];
+  const windowStart = nowMs - WINDOW_DAYS * DAY_MS;
+  const baselineStart = windowStart - BASELINE_DAYS * DAY_MS;
+  const where = ['t.created_at >= ? AND t.created_at < ?'].concat(config.where ? [config.where] : []).join(' AND ');
+  const rows = farmLocations.communityRows(database, config.table, farmLocations.areaCommunity(areaId), {
+    columns: config.columns,
+    where,
+    params: [sqliteTime(baselineStart), sqliteTime(nowMs)]
+  });
+
+  const inWindow = row => row.created_at >= sqliteTime(windowStart);
+  const currentRows = rows.filter(inWindow);
+  const baselineRows = rows.filter(row => !inWindow(row));
+  const fields = { level: config.levelOf };
+  const currentFarms = communityAnalysis.farmStates(currentRows, fields, FARM_AGGREGATION);
+  const baselineFarms = communityAnalysis.farmStates(baselineRows, fields, FARM_AGGREGATION);
+  const currentLevel = communityAnalysis.weightedMean(currentFarms, 'level');
+  const baselineLevel = communityAnalysis.weightedMean(baselineFarms, 'level');
+
+  const result = { triggered: false, risingFarms: [], currentLevel, baselineLevel, pValue: null, submissions: currentRows.length };
+  if (currentRows.length === 0 || baselineRows.length < MIN_BASELINE_SUBMISSIONS) return result;
+
+  const baselineByFarm = new Map(baselineFarms.map(farm => [farm.username, farm.values.level]));
+  result.risingFarms = currentFarms
+    .filter(farm => {
+      const reference = baselineByFarm.has(farm.username) ? baselineByFarm.get(farm.username) : baselineLevel;
+      return farm.values.level - reference >= MIN_FARM_RISE;
+    })
+    .map(farm => farm.username);
+
+  const tested = periodRows => communityAnalysis.latestPerFarm(periodRows, TEST_SUBMISSIONS_PER_FARM).map(config.levelOf);
+  const { z, pValue } = communityAnalysis.mannWhitney(tested(currentRows), tested(baselineRows));
+  result.pValue = pValue;
+  result.triggered = z > 0 && pValue < SIGNIFICANCE_LEVEL && result.risingFarms.length >= MIN_RISING_FARMS;
+  return result;
+}
+
+// Opens, updates or resolves the area's alert of this kind. Returns what happened, or null.
+function checkArea(database, areaId, kind, nowMs = Date.now()) {
+  const assessment = assessArea(database, areaId, kind, nowMs);
+  const active = database.getActiveOutbreakAlert.get(areaId, kind);
+  const round = value => (value === null ? null : Number(value.toFixed(2)));
+
+  if (active) {
+    if (assessment.submissions === 0 || assessment.currentLevel <= active.baseline_level + RESOLVE_MARGIN) {
+      database.resolveOutbreakAlert.run(round(assessment.currentLevel), assessment.submissions === 0 ? 'no_recent_data' : 'levels_normal', active.id);
+      return 'resolved';
+    }
+    const affected = [...new Set(JSON.parse(active.affected_farms_json).concat(assessment.risingFarms))];
+    const severity = SEVERITIES[Math.max(SEVERITIES.indexOf(active.severity), SEVERITIES.indexOf(severityFor(assessment.currentLevel)))];
+    database.updateOutbreakAlert.run(severity, JSON.stringify(affected), round(assessment.currentLevel),
+      round(Math.max(active.peak_level, assessment.currentLevel)), assessment.pValue, active.id);
+    return 'updated';
+  }
+
+  if (!assessment.triggered) return null;
+  const community = farmLocations.areaCommunity(areaId);
+  database.insertOutbreakAlert.run(areaId, kind, severityFor(assessment.currentLevel), JSON.stringify(assessment.risingFarms),
+    round(assessment.baselineLevel), round(assessment.currentLevel), round(assessment.currentLevel), assessment.pValue,
+    community.center ? community.center.latitude : null, community.center ? community.center.longitude : null);
+  console.log(`Outbreak alert: ${kind} rising on ${assessment.risingFarms.length} farms in area ${areaId}`);
+  return 'opened';
+}
+
+// Checks every farm area, and every area with an active alert so it can be resolved
+function detectOutbreaks(database, nowMs = Date.now()) {
+  const areaIds = new Set(database.getFarmAreaIds.all().map(row => row.area_id));
+  database.getActiveOutbreakAlerts.all().forEach(alert => areaIds.add(alert.area_id));
+  const outcome = { opened: 0, updated: 0, resolved: 0 };
+  areaIds.forEach(areaId => {
+    Object.keys(communityAnalysis.SERIES_KINDS).forEach(kind => {
+      try {
+        const result = checkArea(database, areaId, kind, nowMs);
+        if (result) outcome[result]++;
+      } catch (err) {
+        console.error(`Error checking area ${areaId} for ${kind} outbreaks:`, err);
+      }
+    });
+  });
+  return outcome;
+}
+
+function tick() {
+  timer = null;
+  try {
+    const outcome = detectOutbreaks(db);
+    if (outcome.opened || outcome.resolved) {
+      console.log(`Outbreak check: ${outcome.opened} opened, ${outcome.updated} updated, ${outcome.resolved} resolved`);
+    }
+  } catch (err) {
+    console.error('Outbreak detector error:', err);
+  }
+  schedule(CHECK_INTERVAL_MS);
+}
+
+function schedule(delay) {
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(tick, delay);
+  timer.unref(); // don't keep the process alive just for checking
+}
+
+function startOutbreakDetector(database) {
+  db = database;
+  schedule(0);
+}
+
+// An alert for a farmer: affected farms are counted, never named
+function alertFromRow(row, username) {
+  const affected = JSON.parse(row.affected_farms_json);
+  return {
+    id: row.id,
+    areaId: row.area_id,
+    kind: row.kind,
+    status: row.status,
+    severity: row.severity,
+    affectedFarms: affected.length,
+    yourFarmAffected: affected.includes(username),
+    baselineLevel: row.baseline_level,
+    currentLevel: row.current_level,
+    peakLevel: row.peak_level,
+    pValue: row.p_value,
+    startedAt: row.started_at,
+    checkedAt: row.checked_at,
+    resolvedAt: row.resolved_at,
+    resolution: row.resolution
+  };
+}
+
+// Alerts of the farm's community: its own area, and in a radius community the areas whose
+// centre is within the radius
+function alertsForCommunity(rows, community) {
+  return rows.filter(row => {
+    if (row.area_id === community.areaId) return true;
+    if (community.mode !== 'radius' || row.center_latitude === null) return false;
+    return farmLocations.distanceKm(community.center.latitude, community.center.longitude,
+      row.center_latitude, row.center_longitude) <= community.radiusKm;
+  });
+}
+
+module.exports = {
+  assessArea,
+  checkArea,
+  detectOutbreaks,
+  startOutbreakDetector,
+  alertFromRow,
+  alertsForCommunity
+};
@@ -0,0 +1,134 @@
+// Combined pest-climate risk
+// Trap-based pest risk (computeForecastForArea) adjusted by how well the farm's recent weather
+// suits the species actually on the traps. Each species has temperature and humidity ranges in
+// pest-species.json: [limit low, optimum low, optimum high, limit high]. Suitability is 1 inside
+// the optimum and falls to 0 at the limits; each factor moves that species' risk by up to
+// +-CLIMATE_WEIGHT, and species count by their share of the catch.
+
+const analysis = require('./analysis');
+const adviceRules = require('./advice-rules');
+const degreeDays = require('./degree-days');
+
+const CLIMATE_WEIGHT = 0.25;
+const WINDOW_DAYS = 7; // microclimate readings used
+const EXPLAIN_SUITABLE = 0.75; // suitability at or above this "favours" the species
+const EXPLAIN_UNSUITABLE = 0.25; // at or below this "holds it back"
+const FACTORS = [
+  { key: 'temperature', column: 'air_temperature', label: 'Temperature', unit: '°C' },
+  { key: 'humidity', column: 'relative_humidity', label: 'Humidity', unit: '%' }
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 0-1 trapezoid: 1 between the optimum bounds, linear down to 0 at the limits
+function suitability(value, [limitLow, optimumLow, optimumHigh, limitHigh]) {
+  if (value <= limitLow || value >= limitHigh) return 0;
+  if (value < optimumLow) return (value - limitLow) / (optimumLow - limitLow);
+  if (value > optimumHigh) return (limitHigh - value) / (limitHigh - optimumHigh);
+  return 1;
+}
+
+function factorMultiplier(score) {
+  return 1 + CLIMATE_WEIGHT * (2 * score - 1);
+}
+
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+function dbTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Mean air temperature and humidity of the farm's unflagged readings in the WINDOW_DAYS before referenceMs
+function recentClimate(username, areaId, db, referenceMs) {
+  const rows = db.prepare(`SELECT air_temperature, relative_humidity FROM microclimate_data
+                           WHERE username = ? AND area_id = ? AND created_at >= ? AND created_at <= ? AND flagged = 0`)
+    .all(username, areaId, dbTime(referenceMs - WINDOW_DAYS * DAY_MS), dbTime(referenceMs));
+  if (rows.length === 0) return null;
+  const climate = { readings: rows.length, windowDays: WINDOW_DAYS };
+  FACTORS.forEach(factor => {
+    climate[factor.key] = round(rows.reduce((sum, row) => sum + row[factor.column], 0) / rows.length, 1);
+  });
+  return climate;
+}
+
+function describe(species, factor, value, score, multiplier) {
+  const valueText = `${factor.label} ${value}${factor.unit}`;
+  if (score >= EXPLAIN_SUITABLE) return `${valueText} favours ${species.name.toLowerCase()}: risk raised ${Math.round((multiplier - 1) * 100)}%`;
+  if (score <= EXPLAIN_UNSUITABLE) return `${valueText} holds back ${species.name.toLowerCase()}: risk lowered ${Math.round((1 - multiplier) * 100)}%`;
+  return null;
+}
+
+// Pest risk for a farm (user + area) adjusted for recent climate, with the reasons.
+// options.asOf ('YYYY-MM-DD HH:MM:SS') computes it as it would have been at that time.
+function computePestClimateRisk(username, areaId, db, options = {}) {
+  const base = analysis.computeForecastForArea(username, areaId, db, { asOf: options.asOf });
+  const climate = recentClimate(username, areaId, db, options.asOf ? analysis.dbTimeMs(options.asOf) : Date.now());
+  const speciesConfig = degreeDays.loadSpeciesConfig();
+
+  const classCounts = (base.details && base.details.classCounts) || {};
+  const total = Object.keys(speciesConfig).reduce((sum, key) => sum + (classCounts[key] || 0), 0);
+
+  const species = [];
+  const explanations = [];
+  let multiplier = 1;
+  let reason = null;
+  if (!climate) {
+    reason = 'no_recent_microclimate';
+  } else if (total === 0) {
+    reason = 'no_species_identified';
+  } else {
+    multiplier = 0;
+    Object.entries(speciesConfig).forEach(([key, config]) => {
+      const share = (classCounts[key] || 0) / total;
+      if (share === 0) return;
+      let speciesMultiplier = 1;
+      const factors = {};
+      if (config.climate) {
+        FACTORS.forEach(factor => {
+          const score = suitability(climate[factor.key], config.climate[factor.key]);
+          const factorEffect = factorMultiplier(score);
+          speciesMultiplier *= factorEffect;
+          factors[factor.key] = { suitability: round(score, 2), multiplier: round(factorEffect, 3), range: config.climate[factor.key] };
+          const sentence = describe(config, factor, climate[factor.key], score, factorEffect);
+          if (sentence) explanations.push({ species: key, factor: factor.key, share: round(share, 2), effect: round(factorEffect - 1, 3), text: sentence });
+        });
+      }
+      multiplier += share * speciesMultiplier;
+      species.push({ species: key, name: config.name, share: round(share, 3), multiplier: round(speciesMultiplier, 3), factors });
+    });
+  }
+
+  // Biggest effects on the farm's risk first
+  explanations.sort((a, b) => Math.abs(b.effect * b.share) - Math.abs(a.effect * a.share));
+
+  const adjust = score => Math.max(0, Math.min(1, score * multiplier));
+  const riskScore = adjust(base.riskScore);
+  const riskLevel = analysis.computeRiskLevel(riskScore);
+  return {
+    riskScore,
+    riskLevel,
+    baseRiskScore: base.riskScore,
+    baseRiskLevel: base.riskLevel,
+    details: base.details,
+    climateMultiplier: round(multiplier, 3),
+    climate,
+    reason,
+    species,
+    explanations,
+    advice: adviceRules.pestAdvice(db, username, areaId, { riskLevel, details: base.details }).advice,
+    // The recent climate is assumed to hold over the forecast horizons
+    horizons: (base.horizons || []).map(horizon => ({
+      horizonMinutes: horizon.horizonMinutes,
+      label: horizon.label,
+      riskScore: adjust(horizon.riskScore),
+      riskLevel: analysis.computeRiskLevel(adjust(horizon.riskScore)),
+      baseRiskScore: horizon.riskScore
+    }))
+  };
+}
+
+module.exports = {
+  suitability,
+  computePestClimateRisk
+};
@@ -0,0 +1,86 @@
+// Outbreak alert banner
+// Shows the community's active outbreak alerts (/api/alerts) at the top of the page.
+// A dismissed alert stays hidden for the rest of the browser session.
+
+const ALERT_REFRESH_MS = 5 * 60 * 1000;
+const ALERT_COLORS = { moderate: '#ff9800', high: '#f44336', critical: '#b71c1c' };
+const ALERT_KINDS = { pest: 'Pest outbreak', heat: 'Heat stress surge' };
+
+function dismissedAlerts() {
+    try {
+        return JSON.parse(sessionStorage.getItem('dismissedAlerts') || '[]');
+    } catch (error) {
+        return [];
+    }
+}
+
+function dismissAlert(id) {
+    sessionStorage.setItem('dismissedAlerts', JSON.stringify(dismissedAlerts().concat(id)));
+    loadAlertBanner();
+}
+
+function describeAlert(alert) {
+    const since = new Date(alert.startedAt.replace(' ', 'T') + 'Z').toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    const farms = `${alert.affectedFarms} ${alert.affectedFarms === 1 ? 'farm' : 'farms'}`;
+    const yours = alert.yourFarmAffected ? ', including yours' : '';
+    return `${ALERT_KINDS[alert.kind] || 'Outbreak'} (${alert.severity}) in area ${alert.areaId} since ${since}: levels rising on ${farms}${yours}.`;
+}
+
+async function loadAlertBanner() {
+    let banner = document.getElementById('outbreakAlertBanner');
+    try {
+        const res = await fetch('/api/alerts?status=active');
+        if (!res.ok) return;
+        const data = await res.json();
+        const dismissed = dismissedAlerts();
+        const alerts = (data.alerts || []).filter(alert => !dismissed.includes(alert.id));
+
+        if (alerts.length === 0) {
+            if (banner) banner.remove();
+            return;
+        }
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'outbreakAlertBanner';
+            const container = document.querySelector('.container') || document.body;
+            container.insertBefore(banner, container.firstChild);
+        }
+        banner.innerHTML = '';
+        alerts.forEach(alert => {
+            const item = document.createElement('div');
+            item.style.cssText = `
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 12px;
+                margin-bottom: 8px;
+                padding: 10px 16px;
+                border-radius: 8px;
+                background-color: ${ALERT_COLORS[alert.severity] || ALERT_COLORS.moderate};
+                color: #fff;
+                font-size: 14px;
+                font-weight: 600;
+            `;
+            const text = document.createElement('span');
+            text.textContent = describeAlert(alert);
+            const close = document.createElement('button');
+            close.textContent = 'Dismiss';
+            close.style.cssText = 'border: 1px solid #fff; border-radius: 6px; background: transparent; color: #fff; padding: 4px 10px; cursor: pointer;';
+            close.addEventListener('click', () => dismissAlert(alert.id));
+            item.appendChild(text);
+            item.appendChild(close);
+            banner.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading outbreak alerts:', error);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', loadAlertBanner);
+    } else {
+        loadAlertBanner();
+    }
+    setInterval(loadAlertBanner, ALERT_REFRESH_MS);
+}
@@ -104,6 +104,131 @@ function createSimplePie(options) {
     };
 }
 
+// Simple time series line chart.
+// options.data.series: [{ label, color, points: [{ x: time in ms, y }] }]
+// options.yMin / options.yMax fix the value axis (default: fit the data)
+// options.bands: [{ from, to, color }] shaded value ranges behind the lines
+function createSimpleLine(options) {
+    if (!options.container || !options.data) {
+        console.error('SimpleLine requires container and data');
+        return null;
+    }
+
+    const container = options.container;
+    const series = options.data.series.filter(s => s.points.length > 0);
+    const config = {
+        width: options.width || container.clientWidth || 480,
+        height: options.height || 220,
+        padding: { top: 12, right: 12, bottom: 28, left: 40 },
+        formatY: options.formatY || (value => value.toFixed(1)),
+        formatX: options.formatX || (ms => new Date(ms).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }))
+    };
+
+    container.innerHTML = '';
+    if (series.length === 0) {
+        container.innerHTML = '<div style="font-size: 12px; color: #666;">No data yet</div>';
+        return null;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = config.width;
+    canvas.height = config.height;
+    const ctx = canvas.getContext('2d');
+
+    const allPoints = series.flatMap(s => s.points);
+    let xMin = Math.min(...allPoints.map(p => p.x));
+    let xMax = Math.max(...allPoints.map(p => p.x));
+    if (xMin === xMax) { xMin -= 12 * 3600 * 1000; xMax += 12 * 3600 * 1000; }
+    let yMin = options.yMin !== undefined ? options.yMin : Math.min(...allPoints.map(p => p.y));
+    let yMax = options.yMax !== undefined ? options.yMax : Math.max(...allPoints.map(p => p.y));
+    if (yMin === yMax) { yMin -= 1; yMax += 1; }
+
+    const plotW = config.width - config.padding.left - config.padding.right;
+    const plotH = config.height - config.padding.top - config.padding.bottom;
+    const toX = x => config.padding.left + ((x - xMin) / (xMax - xMin)) * plotW;
+    const toY = y => config.padding.top + (1 - (y - yMin) / (yMax - yMin)) * plotH;
+
+    // Shaded bands (e.g. risk levels)
+    (options.bands || []).forEach(band => {
+        const top = toY(Math.min(band.to, yMax));
+        const bottom = toY(Math.max(band.from, yMin));
+        ctx.fillStyle = band.color;
+        ctx.fillRect(config.padding.left, top, plotW, bottom - top);
+    });
+
+    // Axes and labels
+    ctx.strokeStyle = '#ccc';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(config.padding.left, config.padding.top);
+    ctx.lineTo(config.padding.left, config.padding.top + plotH);
+    ctx.lineTo(config.padding.left + plotW, config.padding.top + plotH);
+    ctx.stroke();
+
+    ctx.fillStyle = '#666';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    [yMin, (yMin + yMax) / 2, yMax].forEach(y => ctx.fillText(config.formatY(y), config.padding.left - 4, toY(y)));
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    [xMin, (xMin + xMax) / 2, xMax].forEach(x => ctx.fillText(config.formatX(x), toX(x), config.padding.top + plotH + 6));
+
+    // Lines with point markers
+    series.forEach(s => {
+        const points = [...s.points].sort((a, b) => a.x - b.x);
+        ctx.strokeStyle = s.color;
+        ctx.fillStyle = s.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, index) => {
+            if (index === 0) ctx.moveTo(toX(p.x), toY(p.y));
+            else ctx.lineTo(toX(p.x), toY(p.y));
+        });
+        ctx.stroke();
+        points.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(toX(p.x), toY(p.y), 2.5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    });
+
+    // Legend
+    const legend = document.createElement('div');
+    legend.style.cssText = `
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: center;
+        gap: 12px;
+        margin-top: 8px;
+        font-size: 12px;
+    `;
+    series.forEach(s => {
+        const item = document.createElement('div');
+        item.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+        const swatch = document.createElement('div');
+        swatch.style.cssText = `width: 12px; height: 3px; background-color: ${s.color};`;
+        const label = document.createElement('span');
+        label.textContent = s.label;
+        label.style.color = '#333';
+        item.appendChild(swatch);
+        item.appendChild(label);
+        legend.appendChild(item);
+    });
+
+    container.appendChild(canvas);
+    container.appendChild(legend);
+
+    return {
+        destroy: () => {
+            if (container) container.innerHTML = '';
+        },
+        update: () => {
+            createSimpleLine(options);
+        }
+    };
+}
+
 // Global Chart-like interface for compatibility
 if (typeof window !== 'undefined') {
     window.Chart = {
@@ -0,0 +1,273 @@
+// Lightweight GeoJSON map renderer (no external tiles or CDN)
+// Draws Polygon and MultiPolygon features on a canvas in Web Mercator over a graticule, with
+// wheel zoom, drag to pan, hover tooltips and click to select a feature.
+
+function mercatorY(latitude) {
+    const clamped = Math.max(-85, Math.min(85, latitude));
+    return Math.log(Math.tan(Math.PI / 4 + (clamped * Math.PI / 180) / 2)) * 180 / Math.PI;
+}
+
+function inverseMercatorY(y) {
+    return (2 * Math.atan(Math.exp(y * Math.PI / 180)) - Math.PI / 2) * 180 / Math.PI;
+}
+
+function featureRings(feature) {
+    const geometry = feature.geometry || {};
+    if (geometry.type === 'Polygon') return geometry.coordinates;
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+    return [];
+}
+
+function pointInRing(x, y, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+function createSimpleMap(options) {
+    if (!options.container) {
+        console.error('SimpleMap requires container');
+        return null;
+    }
+
+    const container = options.container;
+    const config = {
+        width: options.width || container.clientWidth || 720,
+        height: options.height || 480,
+        background: options.background || '#eef6f0',
+        fillFor: options.fillFor || (() => 'rgba(34, 197, 94, 0.5)'),
+        tooltipFor: options.tooltipFor || (feature => feature.id || ''),
+        onSelect: options.onSelect || (() => {})
+    };
+
+    let features = [];
+    let marker = options.marker || null;
+    let selected = null;
+    let hovered = null;
+    // View: projected centre (longitude, mercator y) and pixels per degree
+    const view = { x: 0, y: 0, scale: config.width / 360 };
+
+    container.innerHTML = '';
+    container.style.position = 'relative';
+    const canvas = document.createElement('canvas');
+    canvas.width = config.width;
+    canvas.height = config.height;
+    canvas.style.cssText = 'display: block; cursor: grab; border-radius: 8px;';
+    const tooltip = document.createElement('div');
+    tooltip.style.cssText = `
+        position: absolute;
+        display: none;
+        pointer-events: none;
+        background: rgba(20, 83, 45, 0.9);
+        color: #fff;
+        padding: 6px 10px;
+        border-radius: 6px;
+        font-size: 12px;
+        white-space: pre;
+    `;
+    container.appendChild(canvas);
+    container.appendChild(tooltip);
+    const ctx = canvas.getContext('2d');
+
+    const toScreen = (longitude, latitude) => [
+        config.width / 2 + (longitude - view.x) * view.scale,
+        config.height / 2 - (mercatorY(latitude) - view.y) * view.scale
+    ];
+    const toMap = (px, py) => [
+        view.x + (px - config.width / 2) / view.scale,
+        inverseMercatorY(view.y - (py - config.height / 2) / view.scale)
+    ];
+
+    // Fit the view to the features and the marker
+    function fit() {
+        const points = features.flatMap(feature => featureRings(feature).flat());
+        if (marker) points.push([marker.longitude, marker.latitude]);
+        if (points.length === 0) {
+            view.x = 0;
+            view.y = 0;
+            view.scale = config.width / 360;
+            return;
+        }
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => mercatorY(p[1]));
+        const [xMin, xMax, yMin, yMax] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+        view.x = (xMin + xMax) / 2;
+        view.y = (yMin + yMax) / 2;
+        const span = Math.max((xMax - xMin) / config.width, (yMax - yMin) / config.height, 0.5 / config.width);
+        view.scale = 0.8 / span;
+    }
+
+    function drawGraticule() {
+        const [west, north] = toMap(0, 0);
+        const [east, south] = toMap(config.width, config.height);
+        const spanDegrees = east - west;
+        const step = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30].find(s => spanDegrees / s <= 8) || 30;
+
+        ctx.strokeStyle = 'rgba(22, 101, 52, 0.15)';
+        ctx.fillStyle = 'rgba(22, 101, 52, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.font = '10px sans-serif';
+        for (let lon = Math.ceil(west / step) * step; lon <= east; lon += step) {
+            const [x] = toScreen(lon, 0);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, config.height);
+            ctx.stroke();
+            ctx.fillText(`${Number(lon.toFixed(2))}°`, x + 2, config.height - 4);
+        }
+        for (let lat = Math.ceil(Math.max(south, -85) / step) * step; lat <= Math.min(north, 85); lat += step) {
+            const [, y] = toScreen(0, lat);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(config.width, y);
+            ctx.stroke();
+            ctx.fillText(`${Number(lat.toFixed(2))}°`, 2, y - 2);
+        }
+    }
+
+    function tracePath(feature) {
+        ctx.beginPath();
+        featureRings(feature).forEach(ring => {
+            ring.forEach(([lon, lat], index) => {
+                const [x, y] = toScreen(lon, lat);
+                if (index === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+        });
+    }
+
+    function draw() {
+        ctx.fillStyle = config.background;
+        ctx.fillRect(0, 0, config.width, config.height);
+        drawGraticule();
+
+        features.forEach(feature => {
+            tracePath(feature);
+            ctx.fillStyle = config.fillFor(feature) || 'rgba(158, 158, 158, 0.3)';
+            ctx.fill();
+            ctx.strokeStyle = feature === selected ? '#14532d' : feature === hovered ? '#365d3e' : 'rgba(255, 255, 255, 0.9)';
+            ctx.lineWidth = feature === selected || feature === hovered ? 2 : 1;
+            ctx.stroke();
+        });
+
+        if (marker) {
+            const [x, y] = toScreen(marker.longitude, marker.latitude);
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, 2 * Math.PI);
+            ctx.fillStyle = '#1565c0';
+            ctx.fill();
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            if (marker.label) {
+                ctx.fillStyle = '#0d47a1';
+                ctx.font = 'bold 11px sans-serif';
+                ctx.fillText(marker.label, x + 8, y + 4);
+            }
+        }
+    }
+
+    function featureAt(px, py) {
+        const [lon, lat] = toMap(px, py);
+        const y = mercatorY(lat);
+        // Later features are drawn on top
+        for (let i = features.length - 1; i >= 0; i--) {
+            const rings = featureRings(features[i]).map(ring => ring.map(([rx, ry]) => [rx, mercatorY(ry)]));
+            if (rings.length && pointInRing(lon, y, rings[0]) && !rings.slice(1).some(hole => pointInRing(lon, y, hole))) {
+                return features[i];
+            }
+        }
+        return null;
+    }
+
+    // Pointer handling: drag to pan, click to select, hover for tooltips
+    let drag = null;
+    const position = event => {
+        const rect = canvas.getBoundingClientRect();
+        return [(event.clientX - rect.left) * (canvas.width / rect.width), (event.clientY - rect.top) * (canvas.height / rect.height)];
+    };
+
+    canvas.addEventListener('mousedown', event => {
+        const [px, py] = position(event);
+        drag = { px, py, x: view.x, y: view.y, moved: false };
+        canvas.style.cursor = 'grabbing';
+    });
+    window.addEventListener('mouseup', event => {
+        if (!drag) return;
+        if (!drag.moved && event.target === canvas) {
+            const [px, py] = position(event);
+            selected = featureAt(px, py);
+            config.onSelect(selected);
+            draw();
+        }
+        drag = null;
+        canvas.style.cursor = 'grab';
+    });
+    canvas.addEventListener('mousemove', event => {
+        const [px, py] = position(event);
+        if (drag) {
+            if (Math.abs(px - drag.px) + Math.abs(py - drag.py) > 3) drag.moved = true;
+            view.x = drag.x - (px - drag.px) / view.scale;
+            view.y = drag.y + (py - drag.py) / view.scale;
+            tooltip.style.display = 'none';
+            draw();
+            return;
+        }
+        const feature = featureAt(px, py);
+        if (feature !== hovered) {
+            hovered = feature;
+            draw();
+        }
+        if (feature) {
+            tooltip.textContent = config.tooltipFor(feature);
+            tooltip.style.display = 'block';
+            tooltip.style.left = `${event.offsetX + 12}px`;
+            tooltip.style.top = `${event.offsetY + 12}px`;
+        } else {
+            tooltip.style.display = 'none';
+        }
+    });
+    canvas.addEventListener('mouseleave', () => {
+        hovered = null;
+        tooltip.style.display = 'none';
+        draw();
+    });
+    canvas.addEventListener('wheel', event => {
+        event.preventDefault();
+        const [px, py] = position(event);
+        const [lon, lat] = toMap(px, py);
+        view.scale = Math.max(config.width / 360, Math.min(view.scale * (event.deltaY < 0 ? 1.25 : 0.8), 1e6));
+        // Keep the point under the cursor in place
+        view.x = lon - (px - config.width / 2) / view.scale;
+        view.y = mercatorY(lat) + (py - config.height / 2) / view.scale;
+        draw();
+    }, { passive: false });
+
+    function setData(geojson, newMarker = marker, refit = true) {
+        features = (geojson && geojson.features) || [];
+        marker = newMarker;
+        selected = null;
+        hovered = null;
+        if (refit) fit();
+        draw();
+    }
+
+    setData(options.geojson);
+
+    return {
+        setData,
+        fit: () => {
+            fit();
+            draw();
+        },
+        redraw: draw,
+        destroy: () => {
+            if (container) container.innerHTML = '';
+        }
+    };
+}
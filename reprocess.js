@@ -0,0 +1,249 @@
+// Re-run the current trap analyzer over stored images
+// Rows analyzed by an older ANALYSIS_VERSION (or all rows with --all) are re-analyzed from
+// their files in data/uploads, counts and new catches are updated, and the stored forecasts
+// of every affected area are recomputed as of when they were made.
+//
+// CLI: node reprocess.js [--apply] [--all] [--user <username>]
+// Without --apply it's a dry run that only prints what would change.
+
+const path = require('path');
+const fs = require('fs');
+const analysis = require('./analysis');
+const trapTracking = require('./trap-tracking');
+const calibration = require('./calibration');
+const forecastModels = require('./forecast-models');
+
+const DRY_RUN_ROLLBACK = new Error('dry_run_rollback');
+let running = false;
+
+function summarize(row) {
+  return {
+    estimatedPestCount: row.estimated_pest_count,
+    rawBlobCount: row.raw_blob_count,
+    newCatchCount: row.new_catch_count,
+    pestAmount: row.pest_amount,
+    classCounts: analysis.parseClassCounts(row.class_counts_json)
+  };
+}
+
+function differs(before, after) {
+  return before.estimatedPestCount !== after.estimatedPestCount ||
+    before.rawBlobCount !== after.rawBlobCount ||
+    before.newCatchCount !== after.newCatchCount ||
+    before.pestAmount !== after.pestAmount ||
+    JSON.stringify(before.classCounts) !== JSON.stringify(after.classCounts);
+}
+
+// Analyze one stored row again. previous is the (already reprocessed) previous photo of the
+// same trap, or null. Returns the updated row values; nothing is written.
+async function reanalyzeRow(db, row, previous, dryRun) {
+  const filePath = path.join(__dirname, row.file_path);
+  const { width, height, darkPixelRatio, estimatedPestCount, rawBlobCount, classCounts, card, catchPoints, analysis: analysisResult, detections } =
+    await analysis.analyzeStickyTrapImage(filePath, calibration.getAnalysisOptions(row.username, db));
+
+  let oldAnalysis = {};
+  try {
+    oldAnalysis = JSON.parse(row.analysis_json || '{}');
+  } catch (err) {
+    console.error('Error reading stored analysis for image:', row.id, err);
+  }
+
+  let newCatch = null;
+  if (row.trap_id) {
+    // A corrected photo is compared by its corrected count, as in trapTracking.photoFromRow
+    newCatch = trapTracking.newCatchesSincePreviousPhoto(previous, {
+      count: row.corrected_count ?? estimatedPestCount,
+      points: row.corrected_count === null ? catchPoints : null,
+      cardFound: card.found
+    }, row.created_at);
+    analysisResult.newCatch = newCatch;
+  }
+
+  let overlayPath = row.overlay_path;
+  if (!dryRun) {
+    try {
+      overlayPath = path.relative(__dirname, await analysis.renderDetectionOverlay(filePath, detections)).replace(/\\/g, '/');
+    } catch (err) {
+      console.error('Error rendering detection overlay:', err);
+    }
+  }
+
+  return {
+    ...row,
+    overlay_path: overlayPath,
+    width,
+    height,
+    dark_pixel_ratio: darkPixelRatio,
+    estimated_pest_count: estimatedPestCount,
+    raw_blob_count: rawBlobCount,
+    class_counts_json: JSON.stringify(classCounts),
+    catch_points_json: JSON.stringify(catchPoints),
+    new_catch_count: newCatch ? newCatch.newCatchCount : null,
+    catch_interval_days: newCatch ? newCatch.intervalDays : null,
+    // A manual correction still decides the category
+    pest_amount: analysis.categorizePestAmount(row.corrected_count ?? estimatedPestCount, darkPixelRatio, classCounts),
+    analysis_json: JSON.stringify({ ...analysisResult, quality: oldAnalysis.quality }),
+    analysis_version: analysis.ANALYSIS_VERSION
+  };
+}
+
+// Write the new image values and recompute the affected areas' forecasts in one transaction.
+// A dry run does the same work and rolls it back, so the forecast diff is real.
+function applyUpdates(db, updates, affectedAreas, dryRun) {
+  const forecasts = [];
+  const apply = db.db.transaction(() => {
+    updates.forEach(row => {
+      db.updateImageAnalysis.run(
+        row.overlay_path, row.width, row.height, row.dark_pixel_ratio, row.estimated_pest_count, row.raw_blob_count,
+        row.class_counts_json, row.catch_points_json, row.new_catch_count, row.catch_interval_days, row.pest_amount,
+        row.analysis_json, row.analysis_version, row.id
+      );
+    });
+
+    affectedAreas.forEach(({ username, areaId }) => {
+      // Rows of all horizons stored together share one computation, by the model that made them;
+      // rows of models no longer registered are left as they are
+      const computed = new Map();
+      db.getAreaForecasts.all(username, areaId).forEach(stored => {
+        const key = `${stored.created_at}|${stored.model_name}@${stored.model_version}`;
+        if (!computed.has(key)) {
+          computed.set(key, forecastModels.runModel(db, 'pest', stored.model_name, stored.model_version, username, areaId, { asOf: stored.created_at }));
+        }
+        if (!computed.get(key)) return;
+        const forecast = analysis.horizonForecast(computed.get(key), stored.horizon_minutes);
+        db.updateForecast.run(forecast.riskScore, forecast.riskLevel, JSON.stringify(forecast.details), stored.id);
+        if (forecast.riskLevel !== stored.risk_level || Math.abs(forecast.riskScore - stored.risk_score) > 0.001) {
+          forecasts.push({
+            id: stored.id,
+            horizonMinutes: stored.horizon_minutes,
+            username,
+            areaId,
+            model: `${stored.model_name}@${stored.model_version}`,
+            createdAt: stored.created_at,
+            before: { riskLevel: stored.risk_level, riskScore: stored.risk_score },
+            after: { riskLevel: forecast.riskLevel, riskScore: forecast.riskScore }
+          });
+        }
+      });
+    });
+
+    if (dryRun) throw DRY_RUN_ROLLBACK;
+  });
+
+  try {
+    apply();
+  } catch (err) {
+    if (err !== DRY_RUN_ROLLBACK) throw err;
+  }
+  return forecasts;
+}
+
+// options: { dryRun = true, all = false, username = null }
+async function reprocessImages(db, { dryRun = true, all = false, username = null } = {}) {
+  if (running) throw new Error('Reprocessing is already running');
+  running = true;
+  try {
+    const rows = db.getImagesForReprocessing.all().filter(row => !username || row.username === username);
+    const report = {
+      analysisVersion: analysis.ANALYSIS_VERSION,
+      dryRun,
+      scanned: rows.length,
+      reprocessed: 0,
+      changed: 0,
+      missingFiles: [],
+      failed: [],
+      images: [],
+      forecastsChanged: 0,
+      forecasts: []
+    };
+
+    // Latest state of each trap's photos, so new catches chain through the updated counts.
+    // Once a trap photo changes, the trap's later photos are redone as well.
+    const lastTrapPhoto = new Map();
+    const dirtyTraps = new Set();
+    const updates = [];
+    const affected = new Map();
+
+    for (const row of rows) {
+      const stale = all || row.analysis_version === null || row.analysis_version < analysis.ANALYSIS_VERSION;
+      if (!stale && !(row.trap_id && dirtyTraps.has(row.trap_id))) {
+        if (row.trap_id) lastTrapPhoto.set(row.trap_id, row);
+        continue;
+      }
+
+      if (!fs.existsSync(path.join(__dirname, row.file_path))) {
+        report.missingFiles.push({ id: row.id, filePath: row.file_path });
+        if (row.trap_id) lastTrapPhoto.set(row.trap_id, row);
+        continue;
+      }
+
+      let updated;
+      try {
+        updated = await reanalyzeRow(db, row, row.trap_id ? lastTrapPhoto.get(row.trap_id) || null : null, dryRun);
+      } catch (err) {
+        console.error('Error reprocessing image:', row.id, err);
+        report.failed.push({ id: row.id, filePath: row.file_path, error: err.message });
+        if (row.trap_id) lastTrapPhoto.set(row.trap_id, row);
+        continue;
+      }
+
+      report.reprocessed++;
+      updates.push(updated);
+      if (row.trap_id) lastTrapPhoto.set(row.trap_id, updated);
+
+      const before = summarize(row);
+      const after = summarize(updated);
+      if (differs(before, after)) {
+        report.changed++;
+        report.images.push({ id: row.id, username: row.username, areaId: row.area_id, filePath: row.file_path, previousVersion: row.analysis_version, before, after });
+        affected.set(`${row.username}\u0000${row.area_id}`, { username: row.username, areaId: row.area_id });
+        if (row.trap_id) dirtyTraps.add(row.trap_id);
+      }
+    }
+
+    report.forecasts = applyUpdates(db, updates, [...affected.values()], dryRun);
+    report.forecastsChanged = report.forecasts.length;
+    return report;
+  } finally {
+    running = false;
+  }
+}
+
+function printReport(report) {
+  console.log(`${report.dryRun ? 'Dry run' : 'Reprocessed'}: analysis version ${report.analysisVersion}, ${report.scanned} images scanned, ` +
+    `${report.reprocessed} re-analyzed, ${report.changed} changed, ${report.forecastsChanged} forecasts changed`);
+  report.images.forEach(image => {
+    const fields = ['estimatedPestCount', 'rawBlobCount', 'newCatchCount', 'pestAmount']
+      .filter(key => image.before[key] !== image.after[key])
+      .map(key => `${key} ${image.before[key]} -> ${image.after[key]}`);
+    console.log(`  image #${image.id} (${image.username}, ${image.areaId}, v${image.previousVersion ?? '?'}): ${fields.join(', ') || 'class counts changed'}`);
+  });
+  report.forecasts.forEach(forecast => {
+    console.log(`  forecast #${forecast.id} (${forecast.username}, ${forecast.areaId}, ${forecast.model}, ${forecast.createdAt}, ${forecast.horizonMinutes} min): ` +
+      `${forecast.before.riskLevel} ${forecast.before.riskScore.toFixed(3)} -> ${forecast.after.riskLevel} ${forecast.after.riskScore.toFixed(3)}`);
+  });
+  report.missingFiles.forEach(image => console.log(`  missing file for image #${image.id}: ${image.filePath}`));
+  report.failed.forEach(image => console.log(`  failed image #${image.id}: ${image.error}`));
+  if (report.dryRun) console.log('Nothing was written. Run with --apply to save these changes.');
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const userIndex = args.indexOf('--user');
+  const db = require('./db');
+  reprocessImages(db, {
+    dryRun: !args.includes('--apply'),
+    all: args.includes('--all'),
+    username: userIndex !== -1 ? args[userIndex + 1] : null
+  })
+    .then(printReport)
+    .catch(err => {
+      console.error('Reprocessing failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = {
+  reprocessImages
+};
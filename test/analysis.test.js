@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateInsectsFromBlobs, fitCatchTrend } = require('../analysis');
+
+test('estimateInsectsFromBlobs counts merged blobs as several insects', () => {
+  const singles = [90, 95, 100, 100, 100, 110];
+  const result = estimateInsectsFromBlobs(singles.concat([200, 310]));
+  assert.equal(result.referenceSize, 100);
+  assert.deepEqual(result.perBlob, [1, 1, 1, 1, 1, 1, 2, 3]);
+  assert.equal(result.mergedBlobs, 2);
+  assert.equal(result.insectCount, 11);
+});
+
+test('estimateInsectsFromBlobs takes the insect size from blobs big enough to be insects', () => {
+  const noise = [10, 10, 11, 12, 12, 13, 14, 15, 15, 16];
+  const result = estimateInsectsFromBlobs(noise.concat([95, 100, 100, 105, 210]), 20);
+  assert.equal(result.referenceSize, 100);
+  // Noise blobs still count once each; only the 210 blob is a merged pair
+  assert.equal(result.mergedBlobs, 1);
+  assert.equal(result.insectCount, noise.length + 4 + 2);
+});
+
+test('estimateInsectsFromBlobs caps the insects in one blob', () => {
+  const result = estimateInsectsFromBlobs([100, 100, 100, 100, 2000]);
+  assert.equal(result.perBlob[4], 4);
+  assert.equal(result.insectCount, 8);
+});
+
+test('estimateInsectsFromBlobs does not split with too few insect-sized blobs', () => {
+  const result = estimateInsectsFromBlobs([10, 12, 14, 100, 400], 50);
+  assert.equal(result.referenceSize, null);
+  assert.equal(result.insectCount, 5);
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+const points = (values, f) => values.map(t => ({ t, value: f(t), weight: 1 }));
+
+test('fitCatchTrend of one photo is a constant', () => {
+  const fit = fitCatchTrend([{ t: 0, value: 7, weight: 1 }]);
+  assert.equal(fit.degree, 0);
+  assert.deepEqual(fit.coefficients, [7, 0, 0]);
+  assert.equal(fit.residualVariance, null);
+  assert.equal(fit.span, 0);
+  assert.equal(fit.maxValue, 7);
+});
+
+test('fitCatchTrend of photos close together is their weighted mean', () => {
+  const fit = fitCatchTrend([{ t: 0, value: 10, weight: 3 }, { t: -0.1, value: 20, weight: 1 }]);
+  assert.equal(fit.degree, 0);
+  close(fit.coefficients[0], 12.5);
+});
+
+test('fitCatchTrend fits a line to fewer than four photos', () => {
+  const fit = fitCatchTrend(points([0, -1, -3], t => 20 + 3 * t));
+  assert.equal(fit.degree, 1);
+  close(fit.coefficients[0], 20);
+  close(fit.coefficients[1], 3);
+  assert.equal(fit.coefficients[2], 0);
+  close(fit.residualVariance, 0);
+});
+
+test('fitCatchTrend fits a quadratic over a long enough span', () => {
+  const fit = fitCatchTrend(points([0, -1, -2, -4, -6], t => 12 + 0.5 * t + 0.25 * t * t));
+  assert.equal(fit.degree, 2);
+  close(fit.coefficients[0], 12);
+  close(fit.coefficients[1], 0.5);
+  close(fit.coefficients[2], 0.25);
+  assert.equal(fit.span, 6);
+  assert.equal(fit.maxValue, 18);
+});
+
+test('fitCatchTrend stays linear when four photos span less than two days', () => {
+  const fit = fitCatchTrend(points([0, -0.5, -1, -1.5], t => 5 - 2 * t));
+  assert.equal(fit.degree, 1);
+  close(fit.coefficients[1], -2);
+});
+
+test('fitCatchTrend weights pull the fit towards heavier photos', () => {
+  const data = [{ t: 0, value: 10, weight: 1 }, { t: -1, value: 0, weight: 1 }, { t: -2, value: 10, weight: 1 }];
+  const even = fitCatchTrend(data);
+  const recent = fitCatchTrend(data.map(p => (p.t === 0 ? { ...p, weight: 10 } : p)));
+  assert.ok(Math.abs(recent.coefficients[0] - 10) < Math.abs(even.coefficients[0] - 10));
+});
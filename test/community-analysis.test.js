@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mannWhitney } = require('../community-analysis');
+
+test('mannWhitney finds no difference between identical samples', () => {
+  const { z, pValue } = mannWhitney([1, 2, 3], [1, 2, 3]);
+  assert.equal(z, 0);
+  assert.ok(pValue > 0.999);
+});
+
+test('mannWhitney returns z 0 and p 1 when every value is tied', () => {
+  assert.deepEqual(mannWhitney([2, 2, 2], [2, 2]), { z: 0, pValue: 1 });
+});
+
+test('mannWhitney of fully separated samples', () => {
+  // U = 9 of n1 * n2 = 9, sigma = sqrt(9 / 12 * 7)
+  const { z, pValue } = mannWhitney([4, 5, 6], [1, 2, 3]);
+  assert.ok(Math.abs(z - 4.5 / Math.sqrt(5.25)) < 1e-9);
+  assert.ok(pValue > 0.04 && pValue < 0.06);
+});
+
+test('mannWhitney is antisymmetric in its samples', () => {
+  const current = [3, 3, 4, 2, 4, 4];
+  const previous = [1, 2, 2, 1, 3, 0, 1];
+  const forward = mannWhitney(current, previous);
+  const backward = mannWhitney(previous, current);
+  assert.ok(forward.z > 0);
+  assert.ok(Math.abs(forward.z + backward.z) < 1e-9);
+  assert.ok(Math.abs(forward.pValue - backward.pValue) < 1e-9);
+  assert.ok(forward.pValue < 0.05);
+});
+
+test('mannWhitney applies the tie correction', () => {
+  // Ties shrink the variance, so the same rank shift is more significant than without ties
+  const tied = mannWhitney([2, 2, 3, 3], [1, 1, 2, 2]);
+  const distinct = mannWhitney([3, 4, 7, 8], [1, 2, 5, 6]);
+  assert.ok(tied.z > distinct.z);
+});
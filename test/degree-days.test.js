@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { singleSineDegreeDays } = require('../degree-days');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('singleSineDegreeDays is 0 for a day below the base', () => {
+  assert.equal(singleSineDegreeDays(2, 9, 10, 30), 0);
+  assert.equal(singleSineDegreeDays(5, 10, 10, 30), 0);
+});
+
+test('singleSineDegreeDays is capped for a day above the upper threshold', () => {
+  assert.equal(singleSineDegreeDays(32, 40, 10, 30), 20);
+});
+
+test('singleSineDegreeDays is the mean above base between the thresholds', () => {
+  assert.equal(singleSineDegreeDays(14, 26, 10, 30), 10);
+});
+
+test('singleSineDegreeDays counts the part of the curve above the base', () => {
+  // Mean at the base: the upper half of the sine, amplitude / pi
+  close(singleSineDegreeDays(0, 20, 10, 30), 10 / Math.PI);
+});
+
+test('singleSineDegreeDays cuts the curve off horizontally at the upper threshold', () => {
+  // Mean at the upper threshold: 20 above base, less the half above the cutoff (amplitude / pi)
+  close(singleSineDegreeDays(20, 40, 10, 30), 20 - 10 / Math.PI);
+});
+
+test('singleSineDegreeDays grows with the day maximum', () => {
+  let previous = -1;
+  for (let tMax = 5; tMax <= 45; tMax += 2.5) {
+    const value = singleSineDegreeDays(5, tMax, 10, 30);
+    assert.ok(value >= previous);
+    previous = value;
+  }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const farmLocations = require('../farm-locations');
+
+test('encodeGeohash encodes a known point', () => {
+  assert.equal(farmLocations.encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+  assert.equal(farmLocations.encodeGeohash(-25.382708, -49.265506, 8), '6gkzwgjz');
+});
+
+test('encodeGeohash at a lower precision is a prefix of the full hash', () => {
+  const full = farmLocations.encodeGeohash(14.5995, 120.9842);
+  assert.equal(full.length, 9);
+  assert.equal(farmLocations.encodeGeohash(14.5995, 120.9842, 4), full.slice(0, 4));
+});
+
+test('geohashBounds contains the encoded point', () => {
+  [[57.64911, 10.40744], [14.5995, 120.9842], [-33.8688, 151.2093], [40.7128, -74.006]].forEach(([latitude, longitude]) => {
+    const bounds = farmLocations.geohashBounds(farmLocations.encodeGeohash(latitude, longitude, 6));
+    assert.ok(bounds.south <= latitude && latitude <= bounds.north);
+    assert.ok(bounds.west <= longitude && longitude <= bounds.east);
+  });
+});
+
+test('geohashBounds of a one-character cell', () => {
+  assert.deepEqual(farmLocations.geohashBounds('u'), { south: 45, west: 0, north: 90, east: 45 });
+  assert.deepEqual(farmLocations.geohashBounds('0'), { south: -90, west: -180, north: -45, east: -135 });
+});
+
+test('geohashBounds rejects characters outside the alphabet', () => {
+  assert.equal(farmLocations.geohashBounds('u4a'), null);
+  assert.equal(farmLocations.geohashBounds('Philippines'), null);
+});
+
+test('farmAreaId prefers the area, then the country', () => {
+  assert.equal(farmLocations.farmAreaId({ areaId: 'wdq9', country: 'Philippines' }), 'wdq9');
+  assert.equal(farmLocations.farmAreaId({ areaId: null, country: 'Philippines' }), 'Philippines');
+  assert.equal(farmLocations.farmAreaId({ areaId: null, country: null }), 'Unknown Location');
+  assert.equal(farmLocations.farmAreaId(undefined), 'Unknown Location');
+});
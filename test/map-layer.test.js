@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+delete process.env.MAP_MIN_CELL_FARMS;
+const mapLayer = require('../map-layer');
+const farmLocations = require('../farm-locations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-15T12:00:00Z');
+const MANILA = [14.5995, 120.9842];
+const CEBU = [10.3157, 123.8854];
+const DAVAO = [7.1907, 125.4553];
+
+function sqliteTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Only the columns the map layer reads
+function createDatabase() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE profiles (username TEXT PRIMARY KEY, farm_size REAL, geohash TEXT, location_source TEXT);
+    CREATE TABLE images (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT, dark_pixel_ratio REAL, estimated_pest_count INTEGER,
+                         corrected_count INTEGER, pest_amount TEXT, created_at TEXT);
+    CREATE TABLE microclimate_data (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT, air_temperature REAL, soil_temperature REAL,
+                                    soil_moisture REAL, relative_humidity REAL, heat_stress_level TEXT, flagged INTEGER DEFAULT 0, created_at TEXT);
+  `);
+  return db;
+}
+
+function addFarm(db, username, [latitude, longitude], { source = 'farm', pestCount = null, heatLevel = null, daysAgo = 1 } = {}) {
+  db.prepare('INSERT INTO profiles VALUES (?, 1, ?, ?)').run(username, farmLocations.encodeGeohash(latitude, longitude), source);
+  const createdAt = sqliteTime(NOW - daysAgo * DAY_MS);
+  if (pestCount !== null) {
+    db.prepare('INSERT INTO images (username, dark_pixel_ratio, estimated_pest_count, pest_amount, created_at) VALUES (?, 0, ?, ?, ?)')
+      .run(username, pestCount, 'low', createdAt);
+  }
+  if (heatLevel !== null) {
+    db.prepare(`INSERT INTO microclimate_data (username, air_temperature, soil_temperature, soil_moisture, relative_humidity, heat_stress_level, created_at)
+                VALUES (?, 30, 25, 40, 60, ?, ?)`).run(username, heatLevel, createdAt);
+  }
+}
+
+function buildLayer(db, options = { precision: 4 }) {
+  return mapLayer.buildRiskLayer(db, NOW - 7 * DAY_MS, NOW, options);
+}
+
+const cellOf = point => farmLocations.encodeGeohash(point[0], point[1], 4);
+
+test('buildRiskLayer maps a cell with enough farms', () => {
+  const db = createDatabase();
+  ['a', 'b', 'c'].forEach(name => addFarm(db, name, MANILA, { pestCount: 20, heatLevel: 'high' }));
+
+  const layer = buildLayer(db);
+  assert.equal(layer.type, 'FeatureCollection');
+  assert.equal(layer.features.length, 1);
+  const [feature] = layer.features;
+  assert.equal(feature.id, cellOf(MANILA));
+  assert.equal(feature.properties.farms, 3);
+  assert.deepEqual(feature.properties.pest, { level: 3, levelName: 'high', farms: 3, submissions: 3 });
+  assert.deepEqual(feature.properties.heat, { level: 3, levelName: 'high', farms: 3, submissions: 3 });
+  assert.equal(layer.metadata.suppressedCells, 0);
+  assert.equal(layer.metadata.minFarms, 3);
+});
+
+test('buildRiskLayer draws the geohash cell as its polygon', () => {
+  const db = createDatabase();
+  ['a', 'b', 'c'].forEach(name => addFarm(db, name, MANILA, { pestCount: 3 }));
+
+  const { south, west, north, east } = farmLocations.geohashBounds(cellOf(MANILA));
+  assert.deepEqual(buildLayer(db).features[0].geometry, {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  });
+});
+
+test('buildRiskLayer hides cells with fewer than the minimum farms', () => {
+  const db = createDatabase();
+  ['a', 'b', 'c'].forEach(name => addFarm(db, name, MANILA, { pestCount: 3 }));
+  ['d', 'e'].forEach(name => addFarm(db, name, CEBU, { pestCount: 30, heatLevel: 'critical' }));
+  addFarm(db, 'f', DAVAO, { heatLevel: 'low' });
+
+  const layer = buildLayer(db);
+  assert.deepEqual(layer.features.map(feature => feature.id), [cellOf(MANILA)]);
+  assert.equal(layer.metadata.suppressedCells, 2);
+});
+
+test('buildRiskLayer hides a layer with too few farms but keeps the cell', () => {
+  const db = createDatabase();
+  ['a', 'b', 'c'].forEach(name => addFarm(db, name, MANILA, { pestCount: 8 }));
+  addFarm(db, 'd', MANILA, { heatLevel: 'critical' });
+  addFarm(db, 'e', MANILA, { heatLevel: 'critical' });
+
+  const [feature] = buildLayer(db).features;
+  assert.equal(feature.properties.farms, 5);
+  assert.equal(feature.properties.pest.farms, 3);
+  assert.equal(feature.properties.heat, null);
+});
+
+test('buildRiskLayer counts a cell whose every layer is hidden as suppressed', () => {
+  const db = createDatabase();
+  ['a', 'b'].forEach(name => addFarm(db, name, MANILA, { pestCount: 8 }));
+  ['c', 'd'].forEach(name => addFarm(db, name, MANILA, { heatLevel: 'low' }));
+
+  const layer = buildLayer(db);
+  assert.equal(layer.features.length, 0);
+  assert.equal(layer.metadata.suppressedCells, 1);
+});
+
+test('buildRiskLayer leaves out farms placed at their country centroid', () => {
+  const db = createDatabase();
+  ['a', 'b'].forEach(name => addFarm(db, name, MANILA, { pestCount: 8 }));
+  addFarm(db, 'c', MANILA, { pestCount: 8, source: 'country_centroid' });
+
+  const layer = buildLayer(db);
+  assert.equal(layer.features.length, 0);
+  assert.equal(layer.metadata.suppressedCells, 1);
+});
+
+test('buildRiskLayer only uses rows in the window and unflagged readings', () => {
+  const db = createDatabase();
+  ['a', 'b', 'c'].forEach(name => addFarm(db, name, MANILA, { pestCount: 8, heatLevel: 'low' }));
+  addFarm(db, 'd', MANILA, { pestCount: 40, heatLevel: 'critical', daysAgo: 10 });
+  db.prepare('UPDATE microclimate_data SET flagged = 1 WHERE username = ?').run('c');
+
+  const [feature] = buildLayer(db).features;
+  assert.equal(feature.properties.farms, 3);
+  assert.equal(feature.properties.pest.level, 2);
+  assert.equal(feature.properties.heat, null);
+});
+
+test('buildRiskLayer groups farms by the requested precision', () => {
+  const db = createDatabase();
+  ['a', 'b', 'c'].forEach(name => addFarm(db, name, MANILA, { pestCount: 8 }));
+
+  const [feature] = buildLayer(db, { precision: 2 }).features;
+  assert.equal(feature.id, cellOf(MANILA).slice(0, 2));
+  assert.equal(buildLayer(db, { precision: 2 }).metadata.precision, 2);
+});
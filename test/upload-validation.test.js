@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readExif } = require('../upload-validation');
+
+const ASCII = 2;
+const LONG = 4;
+const RATIONAL = 5;
+
+// One IFD placed at offset (from the TIFF header) with its out-of-line values after it.
+// Entries are [tag, type, value]; RATIONAL values are lists of [numerator, denominator].
+function encodeIfd(entries, offset) {
+  const table = Buffer.alloc(2 + entries.length * 12 + 4);
+  const data = [];
+  let dataOffset = offset + table.length;
+  table.writeUInt16LE(entries.length, 0);
+  entries.forEach(([tag, type, value], index) => {
+    let bytes;
+    if (type === ASCII) {
+      bytes = Buffer.from(`${value}\0`, 'ascii');
+    } else if (type === LONG) {
+      bytes = Buffer.alloc(4);
+      bytes.writeUInt32LE(value);
+    } else {
+      bytes = Buffer.alloc(value.length * 8);
+      value.forEach(([numerator, denominator], k) => {
+        bytes.writeUInt32LE(numerator, k * 8);
+        bytes.writeUInt32LE(denominator, k * 8 + 4);
+      });
+    }
+    const entry = 2 + index * 12;
+    table.writeUInt16LE(tag, entry);
+    table.writeUInt16LE(type, entry + 2);
+    table.writeUInt32LE(type === ASCII ? bytes.length : type === RATIONAL ? value.length : 1, entry + 4);
+    if (bytes.length <= 4) {
+      bytes.copy(table, entry + 8);
+    } else {
+      table.writeUInt32LE(dataOffset, entry + 8);
+      data.push(bytes);
+      dataOffset += bytes.length;
+    }
+  });
+  return Buffer.concat([table, ...data]);
+}
+
+// An EXIF block as sharp reports it: 'Exif\0\0', a little-endian TIFF header, IFD0 and
+// optional Exif and GPS IFDs
+function buildExif({ ifd0 = [], exif = null, gps = null }) {
+  const pointers = offsets => [
+    ...(exif ? [[0x8769, LONG, offsets.exif]] : []),
+    ...(gps ? [[0x8825, LONG, offsets.gps]] : [])
+  ];
+  const ifd0Length = encodeIfd(ifd0.concat(pointers({ exif: 0, gps: 0 })), 8).length;
+  const exifOffset = 8 + ifd0Length;
+  const exifIfd = exif ? encodeIfd(exif, exifOffset) : Buffer.alloc(0);
+  const gpsOffset = exifOffset + exifIfd.length;
+  const gpsIfd = gps ? encodeIfd(gps, gpsOffset) : Buffer.alloc(0);
+
+  const header = Buffer.from([0x49, 0x49, 42, 0, 8, 0, 0, 0]);
+  return Buffer.concat([
+    Buffer.from('Exif\0\0', 'ascii'),
+    header,
+    encodeIfd(ifd0.concat(pointers({ exif: exifOffset, gps: gpsOffset })), 8),
+    exifIfd,
+    gpsIfd
+  ]);
+}
+
+test('readExif reads the capture time with its offset', () => {
+  const result = readExif(buildExif({
+    exif: [[0x9003, ASCII, '2025:10:03 18:39:04'], [0x9011, ASCII, '+08:00']]
+  }));
+  assert.equal(result.capturedAt.toISOString(), '2025-10-03T10:39:04.000Z');
+  assert.equal(result.gps, undefined);
+});
+
+test('readExif falls back to the IFD0 date', () => {
+  const result = readExif(buildExif({ ifd0: [[0x0132, ASCII, '2025:10:03 18:39:04']], exif: [] }));
+  const expected = new Date('2025-10-03T18:39:04'); // no offset tag: server local time
+  assert.equal(result.capturedAt.getTime(), expected.getTime());
+});
+
+test('readExif reads GPS coordinates with their hemispheres', () => {
+  const result = readExif(buildExif({
+    gps: [
+      [1, ASCII, 'S'],
+      [2, RATIONAL, [[14, 1], [35, 1], [2400, 100]]],
+      [3, ASCII, 'W'],
+      [4, RATIONAL, [[121, 1], [30, 1], [0, 1]]]
+    ]
+  }));
+  assert.deepEqual(result.gps, { latitude: -14.59, longitude: -121.5 });
+  assert.equal(result.capturedAt, undefined);
+});
+
+test('readExif ignores a GPS fix at 0, 0', () => {
+  const result = readExif(buildExif({
+    gps: [[1, ASCII, 'N'], [2, RATIONAL, [[0, 1], [0, 1], [0, 1]]], [3, ASCII, 'E'], [4, RATIONAL, [[0, 1], [0, 1], [0, 1]]]]
+  }));
+  assert.deepEqual(result, {});
+});
+
+test('readExif returns nothing without EXIF data', () => {
+  assert.deepEqual(readExif(undefined), {});
+  assert.deepEqual(readExif(Buffer.alloc(4)), {});
+  assert.deepEqual(readExif(buildExif({ exif: [[0x9003, ASCII, 'not a date']] })), {});
+});
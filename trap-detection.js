@@ -0,0 +1,209 @@
+// Sticky trap card detection and perspective correction
+// Separated from analysis.js so the counting code stays readable
+
+// Card colours we look for (hue in degrees). Sticky traps are yellow or blue.
+const CARD_COLORS = {
+  yellow: { minHue: 35, maxHue: 75 },
+  blue: { minHue: 180, maxHue: 250 }
+};
+const MIN_CARD_SATURATION = 0.3;
+const MIN_CARD_BRIGHTNESS = 60; // 0-255, ignore dark saturated pixels (shadows)
+const MIN_CARD_AREA_RATIO = 0.05; // card must cover at least 5% of the photo
+const MIN_CARD_FILL_RATIO = 0.6; // card pixels / quadrilateral area, rejects non-rectangular blobs
+
+function pixelHue(r, g, b, max, min) {
+  const delta = max - min;
+  if (delta === 0) return 0;
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  hue *= 60;
+  return hue < 0 ? hue + 360 : hue;
+}
+
+// Mask of pixels that look like card colour, for the dominant card colour in the photo
+function buildCardMask(rgb, w, h, channels) {
+  const masks = {};
+  const counts = {};
+  for (const name of Object.keys(CARD_COLORS)) {
+    masks[name] = new Uint8Array(w * h);
+    counts[name] = 0;
+  }
+
+  for (let i = 0; i < w * h; i++) {
+    const o = i * channels;
+    const r = rgb[o], g = rgb[o + 1], b = rgb[o + 2];
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    if (max < MIN_CARD_BRIGHTNESS || (max - min) / max < MIN_CARD_SATURATION) continue;
+    const hue = pixelHue(r, g, b, max, min);
+    for (const [name, range] of Object.entries(CARD_COLORS)) {
+      if (hue >= range.minHue && hue <= range.maxHue) {
+        masks[name][i] = 1;
+        counts[name]++;
+      }
+    }
+  }
+
+  const color = counts.yellow >= counts.blue ? 'yellow' : 'blue';
+  return { color, mask: masks[color] };
+}
+
+// Largest 4-connected component of the mask, as a list of pixel indices
+function largestComponent(mask, w, h) {
+  const visited = new Uint8Array(w * h);
+  let best = [];
+  for (let start = 0; start < w * h; start++) {
+    if (mask[start] !== 1 || visited[start]) continue;
+    const pixels = [];
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length) {
+      const cur = stack.pop();
+      pixels.push(cur);
+      const cx = cur % w;
+      const cy = (cur - cx) / w;
+      if (cy > 0) { const n = cur - w; if (mask[n] === 1 && !visited[n]) { visited[n] = 1; stack.push(n); } }
+      if (cy < h - 1) { const n = cur + w; if (mask[n] === 1 && !visited[n]) { visited[n] = 1; stack.push(n); } }
+      if (cx > 0) { const n = cur - 1; if (mask[n] === 1 && !visited[n]) { visited[n] = 1; stack.push(n); } }
+      if (cx < w - 1) { const n = cur + 1; if (mask[n] === 1 && !visited[n]) { visited[n] = 1; stack.push(n); } }
+    }
+    if (pixels.length > best.length) best = pixels;
+  }
+  return best;
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Find the sticky card as a quadrilateral.
+// Corners are the extreme points of the largest card-coloured region along the
+// two diagonals, which holds up for the tilted/angled photos farmers take.
+// Returns { found, color, corners: [tl, tr, br, bl], areaRatio } or { found: false, reason }
+function detectTrapCard(rgb, w, h, channels) {
+  const { color, mask } = buildCardMask(rgb, w, h, channels);
+  const region = largestComponent(mask, w, h);
+  const areaRatio = region.length / (w * h);
+
+  if (areaRatio < MIN_CARD_AREA_RATIO) {
+    return { found: false, reason: 'no_card_colour_region', color, areaRatio };
+  }
+
+  let tl, tr, br, bl;
+  for (const i of region) {
+    const x = i % w;
+    const y = (i - x) / w;
+    const sum = x + y;
+    const diff = x - y;
+    if (!tl || sum < tl.x + tl.y) tl = { x, y };
+    if (!br || sum > br.x + br.y) br = { x, y };
+    if (!tr || diff > tr.x - tr.y) tr = { x, y };
+    if (!bl || diff < bl.x - bl.y) bl = { x, y };
+  }
+  const corners = [tl, tr, br, bl];
+
+  const quadArea = polygonArea(corners);
+  const fillRatio = quadArea > 0 ? region.length / quadArea : 0;
+  if (fillRatio < MIN_CARD_FILL_RATIO) {
+    return { found: false, reason: 'region_not_quadrilateral', color, areaRatio, fillRatio };
+  }
+
+  return { found: true, color, corners, areaRatio, fillRatio };
+}
+
+// Solve the 8 homography parameters mapping each src point to its dst point
+function computeHomography(src, dst) {
+  const A = [];
+  const bVec = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    bVec.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    bVec.push(v);
+  }
+
+  // Gaussian elimination with partial pivoting
+  const n = 8;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [bVec[col], bVec[pivot]] = [bVec[pivot], bVec[col]];
+    if (Math.abs(A[col][col]) < 1e-12) return null;
+    for (let row = col + 1; row < n; row++) {
+      const f = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) A[row][k] -= f * A[col][k];
+      bVec[row] -= f * bVec[col];
+    }
+  }
+  const hVec = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = bVec[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * hVec[k];
+    hVec[row] = sum / A[row][row];
+  }
+  return [...hVec, 1];
+}
+
+// Warp the card quadrilateral to an upright rectangle (nearest-neighbour sampling).
+// inset trims a fraction of each edge so the trap's frame/border isn't counted.
+function warpTrapCard(rgb, w, h, channels, corners, inset = 0.02) {
+  const [tl, tr, br, bl] = corners;
+  const outW = Math.max(1, Math.round((distance(tl, tr) + distance(bl, br)) / 2));
+  const outH = Math.max(1, Math.round((distance(tl, bl) + distance(tr, br)) / 2));
+
+  // Map rectangle -> quad so every output pixel can be looked up in the source
+  const rect = [{ x: 0, y: 0 }, { x: outW - 1, y: 0 }, { x: outW - 1, y: outH - 1 }, { x: 0, y: outH - 1 }];
+  const H = computeHomography(rect, corners);
+  if (!H) return null;
+
+  const x0 = Math.round(outW * inset);
+  const y0 = Math.round(outH * inset);
+  const cropW = Math.max(1, outW - 2 * x0);
+  const cropH = Math.max(1, outH - 2 * y0);
+  const data = new Uint8Array(cropW * cropH * channels);
+
+  for (let y = 0; y < cropH; y++) {
+    for (let x = 0; x < cropW; x++) {
+      const rx = x + x0;
+      const ry = y + y0;
+      const d = H[6] * rx + H[7] * ry + H[8];
+      const sx = Math.min(w - 1, Math.max(0, Math.round((H[0] * rx + H[1] * ry + H[2]) / d)));
+      const sy = Math.min(h - 1, Math.max(0, Math.round((H[3] * rx + H[4] * ry + H[5]) / d)));
+      const s = (sy * w + sx) * channels;
+      const o = (y * cropW + x) * channels;
+      for (let c = 0; c < channels; c++) data[o + c] = rgb[s + c];
+    }
+  }
+
+  // Maps a pixel of the straightened card back to the source image
+  const toSource = (x, y) => {
+    const rx = x + x0;
+    const ry = y + y0;
+    const d = H[6] * rx + H[7] * ry + H[8];
+    return { x: (H[0] * rx + H[1] * ry + H[2]) / d, y: (H[3] * rx + H[4] * ry + H[5]) / d };
+  };
+
+  return { data, width: cropW, height: cropH, toSource };
+}
+
+module.exports = {
+  detectTrapCard,
+  warpTrapCard
+};
@@ -0,0 +1,131 @@
+// Per-trap tracking: work out which insects on a trap photo are new since the last photo
+// A sticky trap stays out for days, so every photo re-counts what was already stuck to it.
+
+const { dbTimeMs } = require('./analysis');
+
+// Catch points are [x, y, insects] with x/y normalised to the straightened card (0-1)
+const MATCH_TOLERANCE = 0.015; // how far (fraction of card) an old catch may appear to move
+const MAX_ALIGN_OFFSET = 0.1; // largest card shift we try to correct between photos
+const OFFSET_BIN = 0.005;
+const MAX_ALIGN_POINTS = 200; // cap the pairwise offset vote on very busy traps
+const REPLACED_CARD_RATIO = 0.5; // count dropped below half: card was most likely swapped
+
+function toCatchPoints(points) {
+  return points.map(([x, y, insects]) => ({ x, y, insects }));
+}
+
+// Most common offset between the two point sets (small residual shift/crop differences)
+function estimateOffset(previous, current) {
+  const votes = new Map();
+  let best = { dx: 0, dy: 0, votes: 0 };
+  for (const c of current.slice(0, MAX_ALIGN_POINTS)) {
+    for (const p of previous.slice(0, MAX_ALIGN_POINTS)) {
+      const dx = c.x - p.x;
+      const dy = c.y - p.y;
+      if (Math.abs(dx) > MAX_ALIGN_OFFSET || Math.abs(dy) > MAX_ALIGN_OFFSET) continue;
+      const key = `${Math.round(dx / OFFSET_BIN)},${Math.round(dy / OFFSET_BIN)}`;
+      const n = (votes.get(key) || 0) + 1;
+      votes.set(key, n);
+      if (n > best.votes) best = { dx: Math.round(dx / OFFSET_BIN) * OFFSET_BIN, dy: Math.round(dy / OFFSET_BIN) * OFFSET_BIN, votes: n };
+    }
+  }
+  return best;
+}
+
+// Greedy nearest-neighbour matching of current catches to previous ones.
+// Returns how many insects in the current photo have no counterpart in the previous one.
+function matchCatches(previous, current, offset) {
+  const used = new Uint8Array(previous.length);
+  let matched = 0;
+  let newInsects = 0;
+  for (const c of current) {
+    let bestIndex = -1;
+    let bestDist = MATCH_TOLERANCE;
+    previous.forEach((p, index) => {
+      if (used[index]) return;
+      const dist = Math.hypot(c.x - offset.dx - p.x, c.y - offset.dy - p.y);
+      if (dist <= bestDist) {
+        bestDist = dist;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex === -1) {
+      newInsects += c.insects;
+    } else {
+      used[bestIndex] = 1;
+      matched++;
+      // A clump that grew since the last photo has new insects stuck to it
+      newInsects += Math.max(0, c.insects - previous[bestIndex].insects);
+    }
+  }
+  return { matched, newInsects };
+}
+
+// Compare a trap photo with the previous photo of the same trap.
+// previous/current: { count, points, cardFound }; previous is null for a trap's first photo.
+// Returns { newCatchCount, method, matched }
+function countNewCatches(previous, current) {
+  if (!previous) {
+    return { newCatchCount: current.count, method: 'first_photo', matched: 0 };
+  }
+
+  if (current.count < previous.count * REPLACED_CARD_RATIO) {
+    return { newCatchCount: current.count, method: 'card_replaced', matched: 0 };
+  }
+
+  // Without a straightened card on both photos the positions aren't comparable
+  if (!previous.cardFound || !current.cardFound || !previous.points || !current.points) {
+    return { newCatchCount: Math.max(0, current.count - previous.count), method: 'count_difference', matched: 0 };
+  }
+
+  const prevPoints = toCatchPoints(previous.points);
+  const curPoints = toCatchPoints(current.points);
+
+  // The card may have been photographed the other way up
+  const rotated = prevPoints.map(p => ({ x: 1 - p.x, y: 1 - p.y, insects: p.insects }));
+  const upright = matchCatches(prevPoints, curPoints, estimateOffset(prevPoints, curPoints));
+  const flipped = matchCatches(rotated, curPoints, estimateOffset(rotated, curPoints));
+  const best = flipped.matched > upright.matched ? flipped : upright;
+
+  return { newCatchCount: best.newInsects, method: 'aligned', matched: best.matched };
+}
+
+// A stored image row as countNewCatches takes it. A manual correction replaces the count
+// (COALESCE(corrected_count, estimated_pest_count)); the detected positions no longer add up to
+// it then, so a corrected photo is compared by count.
+function photoFromRow(row) {
+  let storedAnalysis = {};
+  let points = null;
+  try {
+    storedAnalysis = JSON.parse(row.analysis_json || '{}');
+    points = JSON.parse(row.catch_points_json || 'null');
+  } catch (err) {
+    console.error('Error reading stored trap photo analysis:', err);
+  }
+  const corrected = row.corrected_count !== null && row.corrected_count !== undefined;
+  return {
+    count: Number(corrected ? row.corrected_count : row.estimated_pest_count || 0),
+    points: corrected ? null : points,
+    cardFound: !!storedAnalysis.card?.found
+  };
+}
+
+// Compare a trap photo with the trap's previous stored image row (or null).
+// takenAt is when the photo was taken, in the same format as created_at.
+function newCatchesSincePreviousPhoto(previousRow, current, takenAt) {
+  let previous = null;
+  let intervalDays = null;
+  if (previousRow) {
+    previous = photoFromRow(previousRow);
+    intervalDays = Math.max(0, (dbTimeMs(takenAt) - dbTimeMs(previousRow.created_at)) / (24 * 60 * 60 * 1000));
+  }
+
+  const result = countNewCatches(previous, current);
+  return { ...result, previousImageId: previousRow?.id || null, intervalDays };
+}
+
+module.exports = {
+  countNewCatches,
+  photoFromRow,
+  newCatchesSincePreviousPhoto
+};
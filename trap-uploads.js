@@ -0,0 +1,133 @@
+// Pest trap image processing shared by the single upload route and the batch worker:
+// analyze -> compare with the trap's previous photo -> overlay -> save to images
+// A photo uploaded after later photos of its trap, or a corrected count, changes the new catches
+// of the trap's next photo, so that one is recomputed too.
+
+const path = require('path');
+const analysis = require('./analysis');
+const trapTracking = require('./trap-tracking');
+const calibration = require('./calibration');
+const forecastModels = require('./forecast-models');
+
+// Paths are stored relative to the app folder, with forward slashes
+function storedPath(filePath) {
+  return path.relative(__dirname, filePath).replace(/\\/g, '/');
+}
+
+// Current time in SQLite's datetime('now') format
+function dbNow() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Analyze one stored trap photo and insert its images row.
+// trap is an optional traps row; validation is the result of validateTrapImage for the file.
+// Does not compute a forecast; callers decide when.
+async function processTrapImage(db, { username, areaId, trap = null, filePath, validation }) {
+  const takenAt = validation.capturedAt || dbNow();
+  const { width, height, darkPixelRatio, estimatedPestCount, rawBlobCount, classCounts, card, catchPoints, analysis: analysisResult, detections } =
+    await analysis.analyzeStickyTrapImage(filePath, calibration.getAnalysisOptions(username, db));
+
+  // New catches since this trap's previous photo
+  let newCatch = null;
+  if (trap) {
+    const previous = db.getLatestTrapImage.get(trap.id, takenAt);
+    newCatch = trapTracking.newCatchesSincePreviousPhoto(previous, {
+      count: estimatedPestCount,
+      points: catchPoints,
+      cardFound: card.found
+    }, takenAt);
+    analysisResult.newCatch = newCatch;
+  }
+
+  // The overlay is a nice-to-have; a failure here shouldn't lose the reading
+  let overlayPath = null;
+  try {
+    overlayPath = await analysis.renderDetectionOverlay(filePath, detections);
+  } catch (err) {
+    console.error('Error rendering detection overlay:', err);
+  }
+
+  const pestAmountCategory = analysis.categorizePestAmount(estimatedPestCount, darkPixelRatio, classCounts);
+
+  const result = db.insertImage.run(
+    username,
+    areaId,
+    trap ? trap.id : null,
+    storedPath(filePath),
+    overlayPath ? storedPath(overlayPath) : null,
+    width,
+    height,
+    darkPixelRatio,
+    estimatedPestCount,
+    rawBlobCount,
+    JSON.stringify(classCounts),
+    JSON.stringify(catchPoints),
+    newCatch ? newCatch.newCatchCount : null,
+    newCatch ? newCatch.intervalDays : null,
+    pestAmountCategory,
+    JSON.stringify({ ...analysisResult, quality: validation.quality }),
+    analysis.ANALYSIS_VERSION,
+    JSON.stringify(validation.flags),
+    validation.gps ? validation.gps.latitude : null,
+    validation.gps ? validation.gps.longitude : null,
+    validation.capturedAt
+  );
+  if (trap) refreshNextTrapPhoto(db, db.getUserImage.get(Number(result.lastInsertRowid), username));
+
+  return {
+    imageId: Number(result.lastInsertRowid),
+    width,
+    height,
+    darkPixelRatio,
+    estimatedPestCount,
+    rawBlobCount,
+    classCounts,
+    card,
+    pestAmountCategory,
+    overlayPath,
+    newCatch,
+    qualityFlags: validation.flags,
+    capturedAt: validation.capturedAt,
+    gps: validation.gps
+  };
+}
+
+// Recompute a stored trap photo's new catches against the trap's photo before it
+function refreshNewCatch(db, row) {
+  const previous = db.getPreviousTrapImage.get(row.trap_id, row.created_at, row.created_at, row.id);
+  const newCatch = trapTracking.newCatchesSincePreviousPhoto(previous, trapTracking.photoFromRow(row), row.created_at);
+  let storedAnalysis = {};
+  try {
+    storedAnalysis = JSON.parse(row.analysis_json || '{}');
+  } catch (err) {
+    console.error('Error reading stored analysis for image:', row.id, err);
+  }
+  db.updateImageNewCatch.run(newCatch.newCatchCount, newCatch.intervalDays, JSON.stringify({ ...storedAnalysis, newCatch }), row.id);
+  return newCatch;
+}
+
+// Recompute the new catches of the photo that follows this one on its trap, if any
+function refreshNextTrapPhoto(db, row) {
+  const next = db.getNextTrapImage.get(row.trap_id, row.created_at, row.created_at, row.id);
+  return next ? refreshNewCatch(db, next) : null;
+}
+
+// Compute the area forecast with its active model and store one forecasts row per horizon (24h, 72h, 7d)
+function refreshForecast(db, username, areaId) {
+  const forecast = forecastModels.runForecast(db, 'pest', username, areaId);
+  db.db.transaction(() => {
+    analysis.FORECAST_HORIZONS.forEach(({ minutes }) => {
+      const row = analysis.horizonForecast(forecast, minutes);
+      db.insertForecast.run(username, areaId, minutes, row.riskScore, row.riskLevel, JSON.stringify(row.details),
+        forecast.model.name, forecast.model.version);
+    });
+  })();
+  return forecast;
+}
+
+module.exports = {
+  processTrapImage,
+  refreshNewCatch,
+  refreshNextTrapPhoto,
+  refreshForecast
+};
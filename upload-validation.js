@@ -0,0 +1,245 @@
+// Pest trap upload validation: file type, photo quality and EXIF metadata
+// Photos that are unusable (not an image, tiny, very blurry, very dark/washed out) are
+// rejected with a reason; borderline ones are analyzed but flagged.
+
+const sharp = require('sharp');
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const ALLOWED_MIME_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+const MIN_IMAGE_SIDE = 240; // px, shortest side of the original photo
+
+// Blur score (0 sharp - 1 blurry): how little the edges change when the photo is blurred
+// again (Crete-Roffet et al.). It depends on edge width, not contrast, so an empty but
+// sharp card isn't called blurry. Sharp trap photos score ~0.35, a 3px blur ~0.8.
+const REJECT_BLUR = 0.7;
+const FLAG_BLUR = 0.55;
+const MIN_EDGE_DIFF = 3; // neighbour differences below this are JPEG noise
+const MIN_EDGE_SHARE = 0.001; // too few edges (blank photo) and blur can't be judged
+
+// Mean luminance (0-255) and share of clipped pixels
+const REJECT_DARK_MEAN = 30;
+const FLAG_DARK_MEAN = 60;
+const REJECT_BRIGHT_MEAN = 240;
+const FLAG_BRIGHT_MEAN = 220;
+const FLAG_CLIPPED_RATIO = 0.25;
+
+const MAX_CAPTURE_AGE_DAYS = 365;
+
+// Re-blur each direction with a 9px box filter and compare neighbour differences
+function blurEffect(data, w, h) {
+  let worst = null;
+  for (const [along, step] of [['x', 1], ['y', w]]) {
+    const blurred = new Float32Array(w * h);
+    const lines = along === 'x' ? h : w;
+    const length = along === 'x' ? w : h;
+    for (let line = 0; line < lines; line++) {
+      const start = along === 'x' ? line * w : line;
+      for (let k = 0; k < length; k++) {
+        let sum = 0;
+        let n = 0;
+        for (let j = Math.max(0, k - 4); j <= Math.min(length - 1, k + 4); j++) {
+          sum += data[start + j * step];
+          n++;
+        }
+        blurred[start + k * step] = sum / n;
+      }
+    }
+
+    let diffSum = 0;
+    let lostSum = 0;
+    let edges = 0;
+    for (let y = 1; y < h; y++) {
+      for (let x = 1; x < w; x++) {
+        const i = y * w + x;
+        const diff = Math.abs(data[i] - data[i - step]);
+        if (diff < MIN_EDGE_DIFF) continue;
+        diffSum += diff;
+        lostSum += Math.max(0, diff - Math.abs(blurred[i] - blurred[i - step]));
+        edges++;
+      }
+    }
+    if (edges < w * h * MIN_EDGE_SHARE) continue;
+    const score = (diffSum - lostSum) / diffSum;
+    worst = worst === null ? score : Math.max(worst, score);
+  }
+  return worst;
+}
+
+// Blur and exposure measured on a downscaled grayscale copy
+async function measureQuality(filePath) {
+  const { data, info } = await sharp(filePath)
+    .resize({ width: 800, height: 800, fit: 'inside', withoutEnlargement: true })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const w = info.width;
+  const h = info.height;
+
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+  for (let i = 0; i < data.length; i++) {
+    sum += data[i];
+    if (data[i] <= 10) dark++;
+    else if (data[i] >= 245) bright++;
+  }
+  const meanLuminance = sum / data.length;
+
+  const blur = blurEffect(data, w, h);
+
+  return {
+    meanLuminance: Number(meanLuminance.toFixed(1)),
+    darkRatio: Number((dark / data.length).toFixed(3)),
+    clippedRatio: Number((bright / data.length).toFixed(3)),
+    blur: blur === null ? null : Number(blur.toFixed(3))
+  };
+}
+
+// ----------------------------------------
+// Minimal EXIF reader (capture time and GPS only)
+// ----------------------------------------
+
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readIfd(buf, tiff, offset, little) {
+  const u16 = o => (little ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = o => (little ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const tags = {};
+  if (tiff + offset + 2 > buf.length) return tags;
+  const count = u16(tiff + offset);
+  for (let n = 0; n < count; n++) {
+    const entry = tiff + offset + 2 + n * 12;
+    if (entry + 12 > buf.length) break;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const num = u32(entry + 4);
+    const size = (EXIF_TYPE_SIZES[type] || 1) * num;
+    const valueAt = size <= 4 ? entry + 8 : tiff + u32(entry + 8);
+    if (valueAt + size > buf.length) continue;
+
+    if (type === 2) {
+      tags[tag] = buf.toString('ascii', valueAt, valueAt + num).replace(/\0+$/, '');
+    } else if (type === 5) {
+      const values = [];
+      for (let k = 0; k < num; k++) {
+        const den = u32(valueAt + k * 8 + 4);
+        values.push(den ? u32(valueAt + k * 8) / den : 0);
+      }
+      tags[tag] = values;
+    } else if (type === 3) {
+      tags[tag] = u16(valueAt);
+    } else if (type === 4) {
+      tags[tag] = u32(valueAt);
+    }
+  }
+  return tags;
+}
+
+// "2025:10:03 18:39:04" (+ optional "+08:00") -> Date
+function parseExifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const [, y, mo, d, hh, mm, ss] = match;
+  // Without an offset tag the camera's clock zone is unknown; read it as server local time
+  const iso = `${y}-${mo}-${d}T${hh}:${mm}:${ss}${/^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : ''}`;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function readExif(exifBuffer) {
+  if (!exifBuffer || exifBuffer.length < 14) return {};
+  try {
+    const tiff = exifBuffer.toString('ascii', 0, 4) === 'Exif' ? 6 : 0;
+    const little = exifBuffer.toString('ascii', tiff, tiff + 2) === 'II';
+    const u32 = o => (little ? exifBuffer.readUInt32LE(o) : exifBuffer.readUInt32BE(o));
+    const ifd0 = readIfd(exifBuffer, tiff, u32(tiff + 4), little);
+
+    const result = {};
+    if (ifd0[0x8769]) {
+      const exif = readIfd(exifBuffer, tiff, ifd0[0x8769], little);
+      const captured = parseExifDate(exif[0x9003] || ifd0[0x0132], exif[0x9011]);
+      if (captured) result.capturedAt = captured;
+    } else if (ifd0[0x0132]) {
+      const captured = parseExifDate(ifd0[0x0132]);
+      if (captured) result.capturedAt = captured;
+    }
+
+    if (ifd0[0x8825]) {
+      const gps = readIfd(exifBuffer, tiff, ifd0[0x8825], little);
+      const toDegrees = dms => (Array.isArray(dms) && dms.length === 3 ? dms[0] + dms[1] / 60 + dms[2] / 3600 : null);
+      const lat = toDegrees(gps[2]);
+      const lon = toDegrees(gps[4]);
+      if (lat !== null && lon !== null && (lat !== 0 || lon !== 0)) {
+        result.gps = {
+          latitude: Number(((gps[1] === 'S' ? -1 : 1) * lat).toFixed(6)),
+          longitude: Number(((gps[3] === 'W' ? -1 : 1) * lon).toFixed(6))
+        };
+      }
+    }
+    return result;
+  } catch (err) {
+    console.error('Error reading EXIF metadata:', err);
+    return {};
+  }
+}
+
+// Validate an uploaded trap photo.
+// Returns { ok: false, reason } or { ok: true, flags, quality, capturedAt, gps }
+// where capturedAt is a SQLite-style UTC timestamp ('YYYY-MM-DD HH:MM:SS') or null.
+async function validateTrapImage(filePath) {
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (err) {
+    return { ok: false, reason: 'The file is not a readable image' };
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return { ok: false, reason: `Unsupported image format "${metadata.format}". Use JPEG, PNG or WebP` };
+  }
+  if (Math.min(metadata.width || 0, metadata.height || 0) < MIN_IMAGE_SIDE) {
+    return { ok: false, reason: `Photo is too small (${metadata.width}x${metadata.height}). Use at least ${MIN_IMAGE_SIDE}px on the short side` };
+  }
+
+  const quality = await measureQuality(filePath);
+  if (quality.meanLuminance < REJECT_DARK_MEAN) {
+    return { ok: false, reason: 'Photo is too dark to count insects. Retake it in better light', quality };
+  }
+  if (quality.meanLuminance > REJECT_BRIGHT_MEAN) {
+    return { ok: false, reason: 'Photo is washed out. Avoid direct sun or flash glare on the card', quality };
+  }
+  if (quality.blur !== null && quality.blur >= REJECT_BLUR) {
+    return { ok: false, reason: 'Photo is too blurry to count insects. Hold the camera still and focus on the card', quality };
+  }
+
+  const flags = [];
+  if (quality.meanLuminance < FLAG_DARK_MEAN) flags.push('dark');
+  if (quality.meanLuminance > FLAG_BRIGHT_MEAN || quality.clippedRatio > FLAG_CLIPPED_RATIO) flags.push('overexposed');
+  if (quality.blur !== null && quality.blur >= FLAG_BLUR) flags.push('slightly_blurry');
+
+  const exif = readExif(metadata.exif);
+  let capturedAt = null;
+  if (exif.capturedAt) {
+    const ageDays = (Date.now() - exif.capturedAt.getTime()) / (24 * 60 * 60 * 1000);
+    // Cameras with unset clocks report odd dates; fall back to upload time for those
+    if (ageDays < -1 || ageDays > MAX_CAPTURE_AGE_DAYS) {
+      flags.push('capture_time_ignored');
+    } else {
+      capturedAt = exif.capturedAt.toISOString().replace('T', ' ').slice(0, 19);
+    }
+  }
+
+  return { ok: true, flags, quality, capturedAt, gps: exif.gps || null };
+}
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  MAX_UPLOAD_BYTES,
+  validateTrapImage,
+  readExif
+};
@@ -0,0 +1,114 @@
+// Background worker for batch pest trap uploads
+// Jobs and their images live in SQLite (upload_jobs / upload_job_items), so a restart
+// picks up where it left off. Images are analyzed one at a time in upload order; the
+// area forecast is computed once when a job's last image is done. With no images waiting, the
+// worker runs due analyzer calibrations (calibration.js).
+
+const path = require('path');
+const fs = require('fs');
+const trapUploads = require('./trap-uploads');
+const calibration = require('./calibration');
+const { validateTrapImage } = require('./upload-validation');
+
+const IDLE_POLL_MS = 2000;
+
+let db = null;
+let timer = null;
+let busy = false;
+
+function itemCounts(jobId) {
+  const counts = { queued: 0, processing: 0, done: 0, failed: 0 };
+  db.getUploadJobItemCounts.all(jobId).forEach(row => counts[row.status] = row.count);
+  return counts;
+}
+
+// Close the job once nothing is left to do, with a single forecast for the whole batch
+function finishJobIfComplete(item) {
+  const counts = itemCounts(item.job_id);
+  if (counts.queued > 0 || counts.processing > 0) return;
+
+  let forecast = null;
+  if (counts.done > 0) {
+    try {
+      forecast = trapUploads.refreshForecast(db, item.username, item.area_id);
+    } catch (err) {
+      console.error('Error computing forecast for upload job:', item.job_id, err);
+    }
+  }
+
+  const status = counts.done > 0 ? 'completed' : 'failed';
+  db.finishUploadJob.run(status, forecast ? JSON.stringify(forecast) : null, item.job_id);
+  console.log(`Upload job ${item.job_id} ${status}: ${counts.done} done, ${counts.failed} failed`);
+}
+
+async function processNextItem() {
+  const item = db.getNextQueuedJobItem.get();
+  if (!item) return false;
+
+  db.setJobItemProcessing.run(item.id);
+  db.setUploadJobStatus.run('processing', item.job_id);
+
+  const filePath = path.join(__dirname, item.file_path);
+  try {
+    const validation = await validateTrapImage(filePath);
+    if (!validation.ok) {
+      // Unusable photos are reported on the item, not kept around
+      db.setJobItemFailed.run(validation.reason, item.id);
+      fs.unlink(filePath, () => {});
+    } else {
+      const result = await trapUploads.processTrapImage(db, {
+        username: item.username,
+        areaId: item.area_id,
+        filePath,
+        validation
+      });
+      db.setJobItemDone.run(result.imageId, item.id);
+    }
+  } catch (err) {
+    console.error('Error processing upload job item:', item.id, err);
+    db.setJobItemFailed.run(err.message || 'analysis_failed', item.id);
+  }
+
+  finishJobIfComplete(item);
+  return true;
+}
+
+async function tick() {
+  timer = null;
+  if (busy) return;
+  busy = true;
+  let worked = false;
+  try {
+    worked = await processNextItem() || await calibration.runDueCalibration(db);
+  } catch (err) {
+    console.error('Upload worker error:', err);
+  } finally {
+    busy = false;
+  }
+  schedule(worked ? 0 : IDLE_POLL_MS);
+}
+
+function schedule(delay) {
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(tick, delay);
+  timer.unref(); // don't keep the process alive just for polling
+}
+
+function startUploadWorker(database) {
+  db = database;
+  // Anything left "processing" was interrupted by a restart
+  const requeued = db.requeueInterruptedJobItems.run().changes;
+  if (requeued > 0) console.log(`Requeued ${requeued} interrupted upload job items`);
+  schedule(0);
+}
+
+// Called after a job is queued so it starts right away instead of at the next poll
+function wakeUploadWorker() {
+  if (db && !busy) schedule(0);
+}
+
+module.exports = {
+  startUploadWorker,
+  wakeUploadWorker,
+  itemCounts
+};